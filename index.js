@@ -8,43 +8,171 @@
  * - Respects user's tokenizer settings (BEST_MATCH, model-specific, etc.)
  */
 
-import { eventSource, event_types, main_api, streamingProcessor, saveSettingsDebounced } from '../../../../script.js';
+import { eventSource, event_types, main_api, streamingProcessor, saveSettingsDebounced, saveChatDebounced, stopGeneration, getRequestHeaders } from '../../../../script.js';
 import { extension_settings, getContext } from '../../../extensions.js';
 import { getTokenCountAsync, getTextTokens, getFriendlyTokenizerName, tokenizers } from '../../../tokenizers.js';
 import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
 import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { ARGUMENT_TYPE, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
 import { getChatCompletionModel, oai_settings } from '../../../openai.js';
 import { textgenerationwebui_settings as textgen_settings } from '../../../textgen-settings.js';
 import { POPUP_TYPE, Popup } from '../../../popup.js';
+import { escapeHtml, uuidv4 } from '../../../utils.js';
+import { getCurrentUserHandle } from '../../../user.js';
+import { localforage } from '../../../../lib.js';
 
 const extensionName = 'st-tokenusage';
+// Our own folder, so stack-based caller detection can skip our frames
+const extensionFolderPath = new URL('.', import.meta.url).pathname;
 
 const defaultSettings = {
     showInTopBar: true,
+    showMessageBadges: true,
+    showSendEstimate: true,
+    // Warn when a single request's prompt would cost more than this, in the display currency (0 = off)
+    maxRequestCost: 0,
     compactMode: false,
     showCostEstimates: true,
     defaultChartRange: 30,
     chartHeight: 320,
     enableHourlyTracking: true,
     enableChatTracking: true,
-    warningThreshold: 0,
-    budgetLimit: 0,
+    // How weeks are counted: 'iso' (ISO 8601: Monday start, week 1 holds the year's first Thursday), or 'monday'/'sunday' start with week 1 holding January 1
+    weekStart: 'iso',
+    // Budgets: [{ id, name, scope, scopeValue, window, limitType, limit, warnPercent, criticalPercent }, ...]
+    // scope: 'global' | 'model' (ID or glob) | 'chat' | 'character' (avatar) | 'profile' (connection profile ID)
+    // window: 'day' | 'week' | 'month' | 'rolling7' | 'rolling30'; limitType: 'cost' (display currency, converted when it changes) | 'tokens'
+    budgets: [],
+    // What to do before a request that would exceed a budget: 'off' (warn afterwards only), 'confirm' or 'block'
+    budgetEnforcement: 'off',
     modelColors: {}, // { "gpt-4o": "#6366f1", "claude-3-opus": "#8b5cf6", ... }
-    // Prices per 1M tokens: { "gpt-4o": { in: 2.5, out: 10 }, ... }
+    // Prices per 1M tokens: { "gpt-4o": { in: 2.5, out: 10, cacheRead: 1.25, cacheWrite: null, currency: 'USD' }, ... }
+    // cacheRead/cacheWrite of null mean cached tokens cost the same as regular input
+    // Optional per-request rules: tiers: [{ above: 200000, in, out, cacheRead, cacheWrite }] (rates for prompts over that many tokens),
+    // requestFee (charged per request) and freeRequests: { count, window: 'day' | 'month' } (free requests per window)
+    // Dated changes: history: [{ from: "2025-01-01", in, out, cacheRead, cacheWrite, ...rules }, ...] - each carries its own rates and rules
     modelPrices: {},
-    // Accumulated usage data
-    usage: {
-        allTime: { input: 0, output: 0, total: 0, messageCount: 0 },
-        // Time-based buckets: { "2025-01-15": { input: X, output: Y, total: Z, models: { "gpt-4o": 500, ... } }, ... }
-        byDay: {},
-        byHour: {},    // "2025-01-15T14": { ... }
-        byWeek: {},    // "2025-W03": { ... }
-        byMonth: {},   // "2025-01": { ... }
-        // Per-chat usage: { "chatId": { input: X, output: Y, ... }, ... }
-        byChat: {},
-        // Per-model usage: { "gpt-4o": { input: X, output: Y, total: Z, messageCount: N }, ... }
-        byModel: {},
+    // Currency costs are shown in; budgets and the per-request limit are in this currency too
+    currency: 'USD',
+    // Dated exchange rates, units of the currency per 1 USD: { "EUR": [{ from: "2025-01-01", rate: 0.92 }, ...], ... }
+    exchangeRates: {},
+    // Model alias rules, first match wins: [{ id, pattern, canonical }, ...]
+    // pattern is a glob ('gpt-4o-*') or a /regex/ whose groups can be used in canonical as $1, $2, ...
+    modelAliases: [],
+    // Files imported so far, so the same file isn't imported twice: [{ fingerprint, fileName, importedAt, mode, strategy }, ...]
+    importHistory: [],
+    // Rolling snapshots of usage saved to the SillyTavern user files area: 'off' | 'day' | 'week', keeping the newest backupKeep
+    backupSchedule: 'day',
+    backupKeep: 7,
+    // Saved snapshots, oldest first: [{ path, createdAt, reason, messageCount, total }, ...]
+    backups: [],
+    // Also keep usage in a JSON file in the user files area, so other browsers see the same data;
+    // requests recorded in different browsers are merged by request ID
+    usageServerSync: true,
+    // Retention (0 = keep forever): hourly buckets older than this many days (daily buckets keep their totals),
+    // per-chat buckets of chats deleted this many months ago, and ledger entries beyond this many (older ones are folded into the baseline)
+    retainHourlyDays: 0,
+    retainDeletedChatMonths: 0,
+    maxLedgerEntries: 0,
+    // Chats deleted in SillyTavern, for retention: { "chatId": deletedAt ISO timestamp, ... }
+    deletedChats: {},
+    // Result of the last compaction: { at, reclaimedBytes }
+    lastCompaction: null,
+};
+
+/**
+ * Steps that bring stored usage data up to date, in order. Each step brings data to its version.
+ * Data saved before versioning counts as version 0 and goes through every step, so steps must be safe to repeat.
+ * Add a step (never change an old one) whenever the stored format changes.
+ */
+const USAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Per-day model usage becomes { input, output, total }',
+        migrate: (usage) => {
+            // Old: models[modelId] = totalTokens; input/output are estimated using the day's ratio
+            for (const dayData of Object.values(usage.byDay || {})) {
+                for (const [modelId, value] of Object.entries(dayData.models || {})) {
+                    if (typeof value !== 'number') continue;
+                    const ratio = dayData.total ? value / dayData.total : 0;
+                    dayData.models[modelId] = {
+                        input: Math.round((dayData.input || 0) * ratio),
+                        output: Math.round((dayData.output || 0) * ratio),
+                        total: value,
+                    };
+                }
+            }
+        },
+    },
+    {
+        version: 2,
+        description: 'Add the per-type, per-source, per-character and per-group buckets',
+        migrate: (usage) => {
+            if (!usage.allTime) usage.allTime = structuredClone(defaultUsage.allTime);
+            for (const key of USAGE_BUCKET_MAPS) {
+                if (!usage[key]) usage[key] = {};
+            }
+        },
+    },
+    {
+        version: 3,
+        description: 'Add the per-request ledger, keeping older totals as the baseline',
+        migrate: (usage) => ensureLedger(usage),
     },
+    {
+        version: 4,
+        description: 'Record when each chat was last used',
+        migrate: (usage) => {
+            for (const entry of usage.ledger) {
+                const chatData = entry.chatId && usage.byChat[entry.chatId];
+                if (chatData && !(chatData.lastUsed >= entry.timestamp)) chatData.lastUsed = entry.timestamp;
+            }
+        },
+    },
+    {
+        version: 5,
+        description: 'Re-bucket weeks from the daily data by ISO week (or the chosen week start)',
+        migrate: (usage) => {
+            usage.byWeek = getWeekBuckets(usage.byDay);
+            if (usage.baseline) usage.baseline.byWeek = getWeekBuckets(usage.baseline.byDay);
+        },
+    },
+];
+
+const USAGE_SCHEMA_VERSION = USAGE_MIGRATIONS[USAGE_MIGRATIONS.length - 1].version;
+
+// Empty usage data; usage is kept in its own store (see loadUsage), not in the extension settings
+const defaultUsage = {
+    // Format version of the stored data, see USAGE_MIGRATIONS
+    schemaVersion: USAGE_SCHEMA_VERSION,
+    // Copies with the same history ID only differ by appended requests and are merged by request ID (see startNewHistory)
+    historyId: null,
+    // Earlier history IDs of this data and of imports merged into it, whose baselines it already includes
+    pastHistoryIds: [],
+    // Every bucket also tracks cacheRead/cacheWrite: the part of input that was read from / written to the prompt cache
+    allTime: { input: 0, output: 0, total: 0, messageCount: 0 },
+    // Time-based buckets: { "2025-01-15": { input: X, output: Y, total: Z, models: { "gpt-4o": { input, output, total, cacheRead, cacheWrite } } }, ... }
+    byDay: {},
+    byHour: {},    // "2025-01-15T14": { ... }
+    byWeek: {},    // "2025-W03": { ... }
+    byMonth: {},   // "2025-01": { ... }
+    // Per-chat usage: { "chatId": { input: X, output: Y, ..., lastUsed: ISO timestamp }, ... }
+    byChat: {},
+    // Per-model usage: { "gpt-4o": { input: X, output: Y, total: Z, messageCount: N }, ... }
+    byModel: {},
+    // Per-generation-type usage: { "swipe": { input: X, output: Y, ... }, ... } (byDay buckets also carry a "types" breakdown)
+    byType: {},
+    // Per-caller usage of background requests (quiet prompts, sendRequest): { "Summarize": { input, ..., models: { ... } }, ... }
+    bySource: {},
+    // Per-character usage across all chats, keyed by avatar: { "Alice.png": { name, input, output, ..., models: { ... } }, ... }
+    byCharacter: {},
+    // Per-group usage, split by the member who spoke: { "groupId": { name, input, ..., models, members: { "Alice.png": { ... } } }, ... }
+    byGroup: {},
+    // Append-only per-request ledger: [{ id, timestamp, model, chatId, type, input, output, price, cost }, ...]
+    // The buckets above are derived views of baseline + ledger and can be rebuilt from them
+    ledger: [],
+    // Snapshot of the buckets recorded before the ledger existed (null when everything is in the ledger)
+    baseline: null,
 };
 
 /**
@@ -58,17 +186,24 @@ function loadSettings() {
     // Deep merge defaults for any missing keys
     const settings = extension_settings[extensionName];
     if (!settings.modelColors) settings.modelColors = {};
-    if (!settings.usage) settings.usage = structuredClone(defaultSettings.usage);
-    if (!settings.usage.allTime) settings.usage.allTime = structuredClone(defaultSettings.usage.allTime);
-    if (!settings.usage.byDay) settings.usage.byDay = {};
-    if (!settings.usage.byHour) settings.usage.byHour = {};
-    if (!settings.usage.byWeek) settings.usage.byWeek = {};
-    if (!settings.usage.byMonth) settings.usage.byMonth = {};
-    if (!settings.usage.byChat) settings.usage.byChat = {};
-    if (!settings.usage.byModel) settings.usage.byModel = {};
 
     // Initialize modelPrices
     if (!settings.modelPrices) settings.modelPrices = {};
+    if (!Array.isArray(settings.modelAliases)) settings.modelAliases = [];
+    if (!settings.currency) settings.currency = defaultSettings.currency;
+    if (!settings.exchangeRates) settings.exchangeRates = {};
+    // Costs were shown unconverted in a currency without a rate; those amounts (and limits) are really USD
+    if (!hasExchangeRate(settings.currency, settings.exchangeRates)) settings.currency = 'USD';
+    if (!Array.isArray(settings.importHistory)) settings.importHistory = [];
+    if (!Array.isArray(settings.backups)) settings.backups = [];
+    if (settings.backupSchedule === undefined) settings.backupSchedule = defaultSettings.backupSchedule;
+    if (settings.backupKeep === undefined) settings.backupKeep = defaultSettings.backupKeep;
+    if (settings.usageServerSync === undefined) settings.usageServerSync = defaultSettings.usageServerSync;
+    if (settings.retainHourlyDays === undefined) settings.retainHourlyDays = defaultSettings.retainHourlyDays;
+    if (settings.retainDeletedChatMonths === undefined) settings.retainDeletedChatMonths = defaultSettings.retainDeletedChatMonths;
+    if (!settings.deletedChats) settings.deletedChats = {};
+    if (settings.maxLedgerEntries === undefined) settings.maxLedgerEntries = defaultSettings.maxLedgerEntries;
+    if (settings.lastCompaction === undefined) settings.lastCompaction = defaultSettings.lastCompaction;
 
     // Initialize settings with defaults
     if (settings.compactMode === undefined) settings.compactMode = defaultSettings.compactMode;
@@ -77,35 +212,70 @@ function loadSettings() {
     if (settings.chartHeight === undefined) settings.chartHeight = defaultSettings.chartHeight;
     if (settings.enableHourlyTracking === undefined) settings.enableHourlyTracking = defaultSettings.enableHourlyTracking;
     if (settings.enableChatTracking === undefined) settings.enableChatTracking = defaultSettings.enableChatTracking;
-    if (settings.warningThreshold === undefined) settings.warningThreshold = defaultSettings.warningThreshold;
-    if (settings.budgetLimit === undefined) settings.budgetLimit = defaultSettings.budgetLimit;
-
-    // Migration: Convert byDay.models from numeric format to object format
-    // Old: models[modelId] = totalTokens (number)
-    // New: models[modelId] = { input, output, total }
-    for (const dayData of Object.values(settings.usage.byDay)) {
-        if (dayData.models) {
-            for (const [modelId, value] of Object.entries(dayData.models)) {
-                if (typeof value === 'number') {
-                    // Migrate: estimate input/output using day's ratio
-                    const ratio = dayData.total ? value / dayData.total : 0;
-                    dayData.models[modelId] = {
-                        input: Math.round((dayData.input || 0) * ratio),
-                        output: Math.round((dayData.output || 0) * ratio),
-                        total: value
-                    };
-                }
-            }
+    if (!WEEK_STARTS[settings.weekStart]) settings.weekStart = defaultSettings.weekStart;
+    if (settings.showInTopBar === undefined) settings.showInTopBar = defaultSettings.showInTopBar;
+    if (settings.showMessageBadges === undefined) settings.showMessageBadges = defaultSettings.showMessageBadges;
+    if (settings.showSendEstimate === undefined) settings.showSendEstimate = defaultSettings.showSendEstimate;
+    if (settings.maxRequestCost === undefined) settings.maxRequestCost = defaultSettings.maxRequestCost;
+    if (!Array.isArray(settings.budgets)) settings.budgets = [];
+    if (settings.budgetEnforcement === undefined) settings.budgetEnforcement = defaultSettings.budgetEnforcement;
+
+    // Migration: Convert the single daily token warning / daily and monthly limits into budget entries
+    const legacyBudgets = [
+        ['warningThreshold', 'Daily tokens', 'day', 'tokens', 100],
+        ['dailyBudgetLimit', 'Daily spend', 'day', 'cost', 80],
+        ['budgetLimit', 'Monthly spend', 'month', 'cost', 80],
+    ];
+    for (const [key, name, window, limitType, warnPercent] of legacyBudgets) {
+        if (settings[key] > 0) {
+            settings.budgets.push({ id: uuidv4(), name, scope: 'global', scopeValue: '', window, limitType, limit: settings[key], warnPercent, criticalPercent: 100 });
         }
+        delete settings[key];
     }
 
     return settings;
 }
 
+/**
+ * Bring usage data from storage or an import up to the current format
+ * @param {Object} usage - Usage data object, changed in place
+ * @returns {Object} The same object
+ */
+function normalizeUsage(usage) {
+    const fromVersion = usage.schemaVersion || 0;
+    if (fromVersion > USAGE_SCHEMA_VERSION) {
+        console.warn(`[Token Usage Tracker] Usage data is from a newer version of the extension (format ${fromVersion}, this version reads ${USAGE_SCHEMA_VERSION})`);
+        return usage;
+    }
+
+    for (const migration of USAGE_MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+        migration.migrate(usage);
+        usage.schemaVersion = migration.version;
+        console.log(`[Token Usage Tracker] Migrated usage data to format ${migration.version}: ${migration.description}`);
+    }
+    return usage;
+}
+
+/**
+ * Make sure a usage object has a ledger. Usage recorded before the ledger existed
+ * cannot be replayed, so it is kept as a baseline snapshot that rebuilds start from.
+ * @param {Object} usage - Usage data object
+ */
+function ensureLedger(usage) {
+    if (Array.isArray(usage.ledger)) return;
+
+    const { ledger, baseline, schemaVersion, historyId, pastHistoryIds, ...aggregates } = usage;
+    usage.ledger = [];
+    usage.baseline = aggregates.allTime?.messageCount > 0 ? structuredClone(aggregates) : null;
+}
+
 /**
  * Save settings with debounce
  */
 function saveSettings() {
+    // Anything that changed may affect prices, so per-request costs are worked out again on next use
+    requestCostCache = null;
     saveSettingsDebounced();
 }
 
@@ -116,6 +286,285 @@ function getSettings() {
     return extension_settings[extensionName];
 }
 
+// Usage data lives in IndexedDB (and optionally a server file) instead of settings.json, which is rewritten on every save
+const usageStore = localforage.createInstance({ name: 'SillyTavern_TokenUsageTracker' });
+const USAGE_SERVER_FILE = 'token-usage-data.json';
+// IndexedDB writes are cheap; the server file is the whole history, so it's written less often
+const USAGE_STORE_DELAY_MS = 1000;
+const USAGE_SERVER_DELAY_MS = 30 * 1000;
+
+let usageData = structuredClone(defaultUsage);
+let usageStoreTimer = null;
+let usageServerTimer = null;
+// Set when no copy of the data could be kept before migrating it; the saved data is then left as it was
+let usageWritesHeld = false;
+// The server copy as this browser last read or wrote it: { historyId, savedAt }
+let serverUsageSeen = null;
+// Open while the user decides between this browser's data and a history replaced elsewhere
+let serverConflictPending = false;
+
+/**
+ * Get the usage data
+ * @returns {Object} Usage data object
+ */
+function getUsage() {
+    return usageData;
+}
+
+/**
+ * Replace the usage data (call saveUsage() afterwards)
+ * @param {Object} usage - Usage data object
+ */
+function setUsage(usage) {
+    usageData = usage;
+}
+
+/**
+ * Give usage data a new history ID. Call this whenever history is rewritten rather than appended to
+ * (reset, restore, import, compaction, alias merge): copies of different histories aren't merged, the newer one wins.
+ * @param {Object} usage - Usage data object
+ * @returns {Object} The same object
+ */
+function startNewHistory(usage) {
+    if (usage.historyId) usage.pastHistoryIds = [...(usage.pastHistoryIds || []), usage.historyId];
+    usage.historyId = uuidv4();
+    return usage;
+}
+
+/**
+ * Add the requests of another copy of the same history (e.g. saved by another browser) that this copy doesn't have
+ * @param {Object} usage - Usage data object, changed in place (rebuild the buckets afterwards)
+ * @param {Object} other - The other copy, in the current format
+ * @returns {number} Number of requests added
+ */
+function mergeUsageCopies(usage, other) {
+    if (!usage.historyId || usage.historyId !== other.historyId) return 0;
+
+    const knownIds = new Set(usage.ledger.map(entry => entry.id));
+    const added = other.ledger.filter(entry => !knownIds.has(entry.id));
+    if (added.length > 0) {
+        usage.ledger.push(...added);
+        usage.ledger.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+    return added.length;
+}
+
+/**
+ * Key of the current SillyTavern user's usage in IndexedDB, which is shared by all users of the browser
+ * @returns {string}
+ */
+function getUsageStoreKey() {
+    return `usage:${getCurrentUserHandle()}`;
+}
+
+/**
+ * Keep a copy of usage data before migrating it: a backup file, or a separate IndexedDB copy if the server can't take one
+ * @param {Object} usage - Usage data as loaded, not yet migrated
+ * @returns {Promise<boolean>} Whether a copy was kept
+ */
+async function backUpBeforeMigration(usage) {
+    try {
+        await createUsageBackup('migration');
+        return true;
+    } catch (error) {
+        console.error('[Token Usage Tracker] Backup before migrating usage data failed, keeping a copy in IndexedDB instead:', error);
+    }
+    try {
+        await usageStore.setItem(`usage-premigration:${getCurrentUserHandle()}`, { savedAt: new Date().toISOString(), usage: structuredClone(usage) });
+        return true;
+    } catch (error) {
+        console.error('[Token Usage Tracker] Could not keep a copy of usage data before migrating it:', error);
+        return false;
+    }
+}
+
+/**
+ * Load usage data from IndexedDB and the server file. Copies of the same history are merged by request ID,
+ * otherwise the one saved last is used. Usage stored in the extension settings by older versions is moved out on first load.
+ */
+async function loadUsage() {
+    const settings = getSettings();
+    let saved = null;
+    let serverSaved = null;
+
+    try {
+        saved = await usageStore.getItem(getUsageStoreKey());
+    } catch (error) {
+        console.error('[Token Usage Tracker] Could not read usage from IndexedDB:', error);
+    }
+    if (settings.usageServerSync) {
+        serverSaved = await readUsageFromServer();
+        if (serverSaved) serverUsageSeen = { historyId: serverSaved.usage.historyId, savedAt: serverSaved.savedAt };
+        const sameHistory = saved && serverSaved && saved.usage.historyId && saved.usage.historyId === serverSaved.usage.historyId;
+        if (serverSaved && !sameHistory && (!saved || serverSaved.savedAt > saved.savedAt)) {
+            saved = serverSaved;
+            console.log('[Token Usage Tracker] Using newer usage data from the server file');
+        }
+    }
+
+    // Migration: usage used to be stored in the extension settings
+    const legacyUsage = settings.usage;
+    if (legacyUsage && !saved) {
+        saved = { savedAt: null, usage: legacyUsage };
+        console.log('[Token Usage Tracker] Moving usage data out of the extension settings');
+    }
+
+    const usage = saved?.usage || structuredClone(defaultUsage);
+    setUsage(usage);
+    const migrating = (usage.schemaVersion || 0) < USAGE_SCHEMA_VERSION;
+    // Keep the data as it was, in case a migration goes wrong; without a copy, the migrated data isn't saved over it
+    if (migrating && hasRecordedUsage(usage) && !await backUpBeforeMigration(usage)) {
+        usageWritesHeld = true;
+        // @ts-ignore
+        toastr.error('Usage data could not be backed up before updating its format, so usage won\'t be saved this session.', 'Token Usage Tracker');
+    }
+    normalizeUsage(usage);
+    if (!usage.historyId) startNewHistory(usage);
+    if (migrating && !legacyUsage) saveUsage();
+
+    // Requests another browser saved to the server since this one last saved
+    if (serverSaved && serverSaved !== saved) {
+        const added = mergeUsageCopies(usage, normalizeUsage(serverSaved.usage));
+        if (added > 0) {
+            console.log(`[Token Usage Tracker] Merged ${added} requests saved by another browser`);
+            rebuildUsageFromLedger();
+        }
+    }
+
+    if (legacyUsage) {
+        // Only drop the old copy once the new store has it
+        if (await writeUsageToStore()) {
+            delete settings.usage;
+            saveSettingsDebounced();
+        }
+        if (settings.usageServerSync) await writeUsageToServer();
+    }
+}
+
+/**
+ * Save usage data: to IndexedDB shortly, and to the server file if enabled
+ * @param {boolean} [keepCosts=false] - The ledger only gained requests that were already costed, so per-request costs still hold
+ */
+function saveUsage(keepCosts = false) {
+    // Per-request costs are worked out again on next use
+    if (!keepCosts) requestCostCache = null;
+
+    if (!usageStoreTimer) {
+        usageStoreTimer = setTimeout(writeUsageToStore, USAGE_STORE_DELAY_MS);
+    }
+    if (getSettings().usageServerSync && !usageServerTimer) {
+        usageServerTimer = setTimeout(writeUsageToServer, USAGE_SERVER_DELAY_MS);
+    }
+}
+
+/**
+ * Write pending usage saves now (e.g. when the page is closing)
+ */
+function flushUsage() {
+    if (usageStoreTimer) writeUsageToStore();
+    if (usageServerTimer) writeUsageToServer();
+}
+
+/**
+ * Write the usage data to IndexedDB
+ * @returns {Promise<boolean>} Whether it was written
+ */
+async function writeUsageToStore() {
+    clearTimeout(usageStoreTimer);
+    usageStoreTimer = null;
+    if (usageWritesHeld) return false;
+    try {
+        await usageStore.setItem(getUsageStoreKey(), { savedAt: new Date().toISOString(), usage: getUsage() });
+        return true;
+    } catch (error) {
+        console.error('[Token Usage Tracker] Could not save usage to IndexedDB:', error);
+        return false;
+    }
+}
+
+/**
+ * Write the usage data to the server file
+ * @returns {Promise<boolean>} Whether it was written
+ */
+async function writeUsageToServer() {
+    clearTimeout(usageServerTimer);
+    usageServerTimer = null;
+    if (usageWritesHeld || serverConflictPending) return false;
+    try {
+        const serverSaved = await readUsageFromServer();
+        if (serverSaved && serverSaved.usage.historyId !== getUsage().historyId) {
+            // Another browser replaced the history (reset, restore or import) since this one last synced: don't just overwrite it
+            if (serverSaved.savedAt !== serverUsageSeen?.savedAt && !await resolveServerConflict(serverSaved)) return false;
+        } else if (serverSaved && mergeUsageCopies(getUsage(), normalizeUsage(serverSaved.usage)) > 0) {
+            // Another browser may have saved requests since; keep them rather than overwrite them
+            rebuildUsageFromLedger();
+        }
+
+        const savedAt = new Date().toISOString();
+        const content = JSON.stringify({ savedAt, usage: getUsage() });
+        const response = await fetch('/api/files/upload', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ name: USAGE_SERVER_FILE, data: textToBase64(content) }),
+        });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        serverUsageSeen = { historyId: getUsage().historyId, savedAt };
+        return true;
+    } catch (error) {
+        console.error('[Token Usage Tracker] Could not save usage to the server:', error);
+        return false;
+    }
+}
+
+/**
+ * Ask whether to load a history another browser saved to the server, or replace it with this browser's data
+ * @param {Object} serverSaved - { savedAt, usage } from the server file
+ * @returns {Promise<boolean>} True to upload this browser's data over it
+ */
+async function resolveServerConflict(serverSaved) {
+    serverConflictPending = true;
+    try {
+        const popup = new Popup(
+            `<h3>Usage data changed elsewhere</h3>
+            <p>The usage data on the server was reset, restored or imported in another browser or tab (saved ${escapeHtml(new Date(serverSaved.savedAt).toLocaleString())}).</p>
+            <p>Load it here, or keep this browser's data and replace the server copy with it?</p>`,
+            POPUP_TYPE.CONFIRM, '', { okButton: 'Load server data', cancelButton: 'Keep this browser\'s' },
+        );
+        const result = await popup.show();
+        // Dismissed: leave the server copy alone and ask again on the next save
+        if (result === null || result === undefined) return false;
+        if (!result) return true;
+
+        setUsage(normalizeUsage(serverSaved.usage));
+        serverUsageSeen = { historyId: serverSaved.usage.historyId, savedAt: serverSaved.savedAt };
+        requestCostCache = null;
+        await writeUsageToStore();
+        eventSource.emit('tokenUsageUpdated', getUsageStats());
+        console.log('[Token Usage Tracker] Loaded usage data replaced in another browser from the server file');
+        return false;
+    } finally {
+        serverConflictPending = false;
+    }
+}
+
+/**
+ * Read the usage data saved to the server file
+ * @returns {Promise<Object|null>} { savedAt, usage }, or null if there is none
+ */
+async function readUsageFromServer() {
+    try {
+        const response = await fetch(`/user/files/${USAGE_SERVER_FILE}`, { cache: 'no-store' });
+        if (!response.ok) return null;
+        const saved = await response.json();
+        return saved?.usage ? saved : null;
+    } catch (error) {
+        console.error('[Token Usage Tracker] Could not read usage from the server:', error);
+        return null;
+    }
+}
+
 /**
  * Get the current day key (YYYY-MM-DD)
  */
@@ -137,17 +586,71 @@ function getHourKey(date = new Date()) {
     return `${year}-${month}-${day}T${hour}`;
 }
 
+const WEEK_STARTS = {
+    iso: 'Monday (ISO 8601 week numbers)',
+    monday: 'Monday',
+    sunday: 'Sunday',
+};
+
 /**
- * Get the current week key (YYYY-WNN)
+ * Get the first day of the week a date is in, at midnight
+ * @param {Date} [date]
+ * @param {string} [weekStart] - A WEEK_STARTS key, defaults to the setting
+ * @returns {Date}
  */
-function getWeekKey(date = new Date()) {
-    const year = date.getFullYear();
-    const startOfYear = new Date(year, 0, 1);
-    const days = Math.floor((date.getTime() - startOfYear.getTime()) / (24 * 60 * 60 * 1000));
-    const weekNumber = Math.ceil((days + startOfYear.getDay() + 1) / 7);
+function getWeekStartDate(date = new Date(), weekStart = getSettings().weekStart) {
+    const firstDay = weekStart === 'sunday' ? 0 : 1;
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() - firstDay + 7) % 7));
+    return start;
+}
+
+/**
+ * Get the week key (YYYY-WNN) of a date
+ * ISO weeks belong to the year of their Thursday; otherwise week 1 is the week holding January 1,
+ * so the days of a week that spans new year all get the new year's key.
+ * @param {Date} [date]
+ * @param {string} [weekStart] - A WEEK_STARTS key, defaults to the setting
+ */
+function getWeekKey(date = new Date(), weekStart = getSettings().weekStart) {
+    const start = getWeekStartDate(date, weekStart);
+    // Whole days between two local midnights, unaffected by DST changes
+    const daysBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / (24 * 60 * 60 * 1000));
+
+    let year, weekNumber;
+    if (weekStart === 'monday' || weekStart === 'sunday') {
+        const end = new Date(start);
+        end.setDate(end.getDate() + 6);
+        year = end.getFullYear();
+        weekNumber = daysBetween(getWeekStartDate(new Date(year, 0, 1), weekStart), start) / 7 + 1;
+    } else {
+        const thursday = new Date(start);
+        thursday.setDate(thursday.getDate() + 3);
+        year = thursday.getFullYear();
+        weekNumber = Math.floor(daysBetween(new Date(year, 0, 1), thursday) / 7) + 1;
+    }
     return `${year}-W${String(weekNumber).padStart(2, '0')}`;
 }
 
+/**
+ * Sum daily buckets into weekly buckets
+ * @param {Object} byDay - Daily buckets
+ * @returns {Object} Weekly buckets, keyed by getWeekKey()
+ */
+function getWeekBuckets(byDay) {
+    const byWeek = {};
+    for (const [dayKey, data] of Object.entries(byDay || {})) {
+        // Parse dayKey (YYYY-MM-DD) as local date, not UTC
+        const [year, month, day] = dayKey.split('-').map(Number);
+        const weekKey = getWeekKey(new Date(year, month - 1, day));
+        if (!byWeek[weekKey]) byWeek[weekKey] = { input: 0, output: 0, total: 0, cacheRead: 0, cacheWrite: 0, messageCount: 0 };
+        for (const key of ['input', 'output', 'total', 'cacheRead', 'cacheWrite', 'messageCount']) {
+            byWeek[weekKey][key] += data[key] || 0;
+        }
+    }
+    return byWeek;
+}
+
 /**
  * Get the current month key (YYYY-MM)
  */
@@ -213,65 +716,204 @@ function getCurrentModelId() {
     }
 }
 
+// Compiled alias rules, recompiled whenever the rules array is replaced
+let compiledAliasRules = { rules: null, compiled: [] };
+
 /**
- * Record token usage into all relevant buckets
- * @param {number} inputTokens - Tokens in the user message
- * @param {number} outputTokens - Tokens in the AI response
- * @param {string} [chatId] - Optional chat ID for per-chat tracking
- * @param {string} [modelId] - Optional model ID for per-model tracking
+ * Compile model alias rules into matchers, skipping blank and invalid ones
+ * @param {Object[]} rules - [{ pattern, canonical }, ...]
+ * @returns {Array<{regex: RegExp, canonical: string}>}
+ */
+function compileAliasRules(rules) {
+    if (compiledAliasRules.rules === rules) return compiledAliasRules.compiled;
+
+    const compiled = [];
+    for (const rule of rules || []) {
+        const pattern = String(rule.pattern || '').trim();
+        const canonical = String(rule.canonical || '').trim();
+        if (!pattern || !canonical) continue;
+        const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        try {
+            // Global and sticky flags make test() and replace() carry lastIndex over between model IDs
+            const flags = regexMatch ? regexMatch[2].replace(/[gy]/g, '') : '';
+            compiled.push({ regex: regexMatch ? new RegExp(regexMatch[1], flags) : globToRegExp(pattern), canonical });
+        } catch (e) {
+            console.warn(`[Token Usage Tracker] Ignoring invalid model alias pattern ${pattern}:`, e.message);
+        }
+    }
+
+    compiledAliasRules = { rules, compiled };
+    return compiled;
+}
+
+/**
+ * Map a model ID to its canonical model using the alias rules
+ * @param {string} modelId
+ * @param {Object[]} [rules] - Alias rules (the saved ones by default)
+ * @returns {string} Canonical model ID, or the ID itself when no rule matches
+ */
+function resolveModelAlias(modelId, rules = getSettings().modelAliases) {
+    if (!modelId) return modelId;
+    for (const { regex, canonical } of compileAliasRules(rules)) {
+        const match = regex.exec(modelId);
+        if (match) return canonical.replace(/\$(\d)/g, (_, group) => match[group] ?? '');
+    }
+    return modelId;
+}
+
+/**
+ * Merge per-model buckets whose IDs map to the same model
+ * @param {Object} models - Buckets keyed by model ID
+ * @param {Function} [mapId] - Maps a model ID to the ID to merge it into (alias rules by default)
+ * @returns {Object} New buckets keyed by mapped ID, with numeric fields summed
+ */
+function mergeModelBuckets(models, mapId = resolveModelAlias) {
+    const merged = {};
+    for (const [modelId, data] of Object.entries(models || {})) {
+        const target = merged[mapId(modelId)] ??= {};
+        for (const [key, value] of Object.entries(data)) {
+            if (typeof value === 'number') target[key] = (target[key] || 0) + value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Rewrite recorded usage so models matched by an alias rule are stored under their canonical model
+ * Ledger entries and the baseline are rewritten, prices and colors move to the canonical model, then the buckets are rebuilt.
+ * @returns {number} Number of model IDs that were merged away
  */
-function recordUsage(inputTokens, outputTokens, chatId = null, modelId = null) {
+function mergeAliasedModels() {
     const settings = getSettings();
-    const usage = settings.usage;
-    const now = new Date();
+    const usage = getUsage();
+    const merged = new Set();
+    const rename = (modelId) => {
+        const canonical = resolveModelAlias(modelId);
+        if (canonical !== modelId) merged.add(modelId);
+        return canonical;
+    };
+
+    for (const entry of usage.ledger) {
+        if (entry.model) entry.model = rename(entry.model);
+    }
+
+    const baseline = usage.baseline;
+    if (baseline) {
+        baseline.byModel = mergeModelBuckets(baseline.byModel, rename);
+        const bucketsWithModels = [
+            ...Object.values(baseline.byDay || {}),
+            ...Object.values(baseline.bySource || {}),
+            ...Object.values(baseline.byCharacter || {}),
+            ...Object.values(baseline.byGroup || {}),
+            ...Object.values(baseline.byGroup || {}).flatMap(group => Object.values(group.members || {})),
+        ];
+        for (const bucket of bucketsWithModels) {
+            if (bucket.models) bucket.models = mergeModelBuckets(bucket.models, rename);
+        }
+    }
+
+    for (const modelId of merged) {
+        const canonical = resolveModelAlias(modelId);
+        for (const map of [settings.modelPrices, settings.modelColors]) {
+            if (map[modelId] && !map[canonical]) map[canonical] = map[modelId];
+            delete map[modelId];
+        }
+    }
+
+    saveSettings();
+    startNewHistory(usage);
+    rebuildUsageFromLedger();
+    console.log(`[Token Usage Tracker] Merged ${merged.size} aliased model IDs into their canonical models`);
+    return merged.size;
+}
+
+/**
+ * Add a ledger entry to all relevant aggregate buckets
+ * Hourly and per-chat buckets follow the entry's own flags, set from the tracking toggles when it was recorded.
+ * @param {Object} usage - Usage data object to update
+ * @param {Object} entry - Ledger entry
+ */
+function applyEntryToUsage(usage, entry) {
+    const date = new Date(entry.timestamp);
+    const inputTokens = entry.input;
+    const outputTokens = entry.output;
     const totalTokens = inputTokens + outputTokens;
+    const cacheRead = entry.cacheRead || 0;
+    const cacheWrite = entry.cacheWrite || 0;
+    const chatId = entry.chatId;
+    const modelId = entry.model;
 
     const addTokens = (bucket) => {
         bucket.input = (bucket.input || 0) + inputTokens;
         bucket.output = (bucket.output || 0) + outputTokens;
         bucket.total = (bucket.total || 0) + totalTokens;
+        bucket.cacheRead = (bucket.cacheRead || 0) + cacheRead;
+        bucket.cacheWrite = (bucket.cacheWrite || 0) + cacheWrite;
         bucket.messageCount = (bucket.messageCount || 0) + 1;
     };
 
+    // Per-model input/output breakdown inside a bucket, used for cost calculation
+    const addModelTokens = (bucket) => {
+        if (!modelId) return;
+        if (!bucket.models) bucket.models = {};
+        if (!bucket.models[modelId]) bucket.models[modelId] = { input: 0, output: 0, total: 0 };
+        const modelData = bucket.models[modelId];
+        modelData.input += inputTokens;
+        modelData.output += outputTokens;
+        modelData.total += totalTokens;
+        modelData.cacheRead = (modelData.cacheRead || 0) + cacheRead;
+        modelData.cacheWrite = (modelData.cacheWrite || 0) + cacheWrite;
+        modelData.messageCount = (modelData.messageCount || 0) + 1;
+    };
+
     // All-time
     addTokens(usage.allTime);
 
     // By day
-    const dayKey = getDayKey(now);
+    const dayKey = getDayKey(date);
     if (!usage.byDay[dayKey]) usage.byDay[dayKey] = { input: 0, output: 0, total: 0, messageCount: 0, models: {} };
     addTokens(usage.byDay[dayKey]);
 
     // Track model within day for stacked chart (with input/output breakdown for cost calculation)
-    if (modelId) {
-        if (!usage.byDay[dayKey].models) usage.byDay[dayKey].models = {};
-        if (!usage.byDay[dayKey].models[modelId]) {
-            usage.byDay[dayKey].models[modelId] = { input: 0, output: 0, total: 0 };
+    addModelTokens(usage.byDay[dayKey]);
+
+    // Track generation type within day for the type breakdown chart
+    const type = entry.type || 'normal';
+    if (!usage.byDay[dayKey].types) usage.byDay[dayKey].types = {};
+    if (!usage.byDay[dayKey].types[type]) usage.byDay[dayKey].types[type] = { input: 0, output: 0, total: 0, messageCount: 0 };
+    addTokens(usage.byDay[dayKey].types[type]);
+
+    // Track where the day's input tokens came from
+    if (entry.composition) {
+        if (!usage.byDay[dayKey].composition) usage.byDay[dayKey].composition = {};
+        for (const [part, tokens] of Object.entries(entry.composition)) {
+            usage.byDay[dayKey].composition[part] = (usage.byDay[dayKey].composition[part] || 0) + tokens;
         }
-        const modelData = usage.byDay[dayKey].models[modelId];
-        modelData.input += inputTokens;
-        modelData.output += outputTokens;
-        modelData.total += totalTokens;
     }
 
     // By hour
-    const hourKey = getHourKey(now);
-    if (!usage.byHour[hourKey]) usage.byHour[hourKey] = { input: 0, output: 0, total: 0, messageCount: 0 };
-    addTokens(usage.byHour[hourKey]);
+    if (!entry.excludeFromHourly) {
+        const hourKey = getHourKey(date);
+        if (!usage.byHour[hourKey]) usage.byHour[hourKey] = { input: 0, output: 0, total: 0, messageCount: 0 };
+        addTokens(usage.byHour[hourKey]);
+    }
 
     // By week
-    const weekKey = getWeekKey(now);
+    const weekKey = getWeekKey(date);
     if (!usage.byWeek[weekKey]) usage.byWeek[weekKey] = { input: 0, output: 0, total: 0, messageCount: 0 };
     addTokens(usage.byWeek[weekKey]);
 
     // By month
-    const monthKey = getMonthKey(now);
+    const monthKey = getMonthKey(date);
     if (!usage.byMonth[monthKey]) usage.byMonth[monthKey] = { input: 0, output: 0, total: 0, messageCount: 0 };
     addTokens(usage.byMonth[monthKey]);
 
     // By chat
-    if (chatId) {
+    if (chatId && !entry.excludeFromChat) {
         if (!usage.byChat[chatId]) usage.byChat[chatId] = { input: 0, output: 0, total: 0, messageCount: 0 };
         addTokens(usage.byChat[chatId]);
+        // For retention of chats that are no longer used
+        if (!(usage.byChat[chatId].lastUsed >= entry.timestamp)) usage.byChat[chatId].lastUsed = entry.timestamp;
     }
 
     // By model (aggregate)
@@ -280,7 +922,114 @@ function recordUsage(inputTokens, outputTokens, chatId = null, modelId = null) {
         addTokens(usage.byModel[modelId]);
     }
 
-    saveSettings();
+    // By generation type (aggregate)
+    if (!usage.byType) usage.byType = {};
+    if (!usage.byType[type]) usage.byType[type] = { input: 0, output: 0, total: 0, messageCount: 0 };
+    addTokens(usage.byType[type]);
+
+    // By source (background callers)
+    if (entry.source) {
+        if (!usage.bySource) usage.bySource = {};
+        if (!usage.bySource[entry.source]) usage.bySource[entry.source] = { input: 0, output: 0, total: 0, messageCount: 0, models: {} };
+        addTokens(usage.bySource[entry.source]);
+        addModelTokens(usage.bySource[entry.source]);
+    }
+
+    // By character (across all chats, including group chats the character spoke in)
+    if (entry.characterId) {
+        if (!usage.byCharacter) usage.byCharacter = {};
+        if (!usage.byCharacter[entry.characterId]) usage.byCharacter[entry.characterId] = { name: entry.characterName || null, input: 0, output: 0, total: 0, messageCount: 0, models: {} };
+        const characterData = usage.byCharacter[entry.characterId];
+        if (entry.characterName) characterData.name = entry.characterName;
+        addTokens(characterData);
+        addModelTokens(characterData);
+    }
+
+    // By group, split by the member who spoke
+    if (entry.groupId) {
+        if (!usage.byGroup) usage.byGroup = {};
+        if (!usage.byGroup[entry.groupId]) usage.byGroup[entry.groupId] = { name: entry.groupName || null, input: 0, output: 0, total: 0, messageCount: 0, models: {}, members: {} };
+        const groupData = usage.byGroup[entry.groupId];
+        if (entry.groupName) groupData.name = entry.groupName;
+        addTokens(groupData);
+        addModelTokens(groupData);
+
+        if (entry.characterId) {
+            if (!groupData.members) groupData.members = {};
+            if (!groupData.members[entry.characterId]) groupData.members[entry.characterId] = { name: entry.characterName || null, input: 0, output: 0, total: 0, messageCount: 0, models: {} };
+            const memberData = groupData.members[entry.characterId];
+            if (entry.characterName) memberData.name = entry.characterName;
+            addTokens(memberData);
+            addModelTokens(memberData);
+        }
+    }
+}
+
+/**
+ * Record token usage: append a ledger entry and add it to all relevant buckets
+ * @param {number} inputTokens - Tokens in the user message
+ * @param {number} outputTokens - Tokens in the AI response
+ * @param {string} [chatId] - Optional chat ID for per-chat tracking
+ * @param {string} [modelId] - Optional model ID for per-model tracking
+ * @param {Object} [details] - Optional request details
+ * @param {string} [details.type] - Generation type ('normal', 'swipe', 'continue', 'quiet', 'background', ...)
+ * @param {string} [details.countSource] - 'reported' (provider usage block) or 'estimated' (local tokenizer)
+ * @param {number} [details.cacheRead] - Provider-reported cached input tokens read
+ * @param {number} [details.cacheWrite] - Provider-reported cached input tokens written
+ * @param {number} [details.reasoning] - Provider-reported reasoning tokens (included in output)
+ * @param {string} [details.characterId] - Avatar of the character the request was made for (the speaking member in groups)
+ * @param {string} [details.characterName] - Display name of that character
+ * @param {string} [details.groupId] - Group the request was made in
+ * @param {string} [details.groupName] - Display name of that group
+ * @param {string} [details.profileId] - Connection profile the request was sent with
+ * @param {string} [details.source] - Extension or feature that made a background request
+ * @param {string} [details.outcome] - 'completed', 'stopped' (by the user) or 'orphaned' (never finished)
+ * @param {Object} [details.composition] - Input tokens per prompt part (system, character, history, ...)
+ * @returns {Object} The ledger entry that was recorded
+ */
+function recordUsage(inputTokens, outputTokens, chatId = null, modelId = null, details = {}) {
+    // New usage is recorded under the canonical model, so aliases only need merging for older history
+    modelId = resolveModelAlias(modelId);
+    const settings = getSettings();
+    const usage = getUsage();
+    const price = getModelPrice(modelId);
+
+    const entry = {
+        id: uuidv4(),
+        timestamp: new Date().toISOString(),
+        model: modelId || null,
+        chatId: chatId || null,
+        characterId: details.characterId || null,
+        characterName: details.characterName || null,
+        groupId: details.groupId || null,
+        groupName: details.groupName || null,
+        profileId: details.profileId || null,
+        source: details.source || null,
+        type: details.type || 'normal',
+        outcome: details.outcome || 'completed',
+        input: inputTokens,
+        output: outputTokens,
+        countSource: details.countSource || 'estimated',
+        cacheRead: details.cacheRead || 0,
+        cacheWrite: details.cacheWrite || 0,
+        reasoning: details.reasoning || 0,
+        composition: details.composition || null,
+        // Tracking switched off when the request was made; rebuilds leave the entry out of those buckets too
+        excludeFromHourly: !settings.enableHourlyTracking,
+        excludeFromChat: !settings.enableChatTracking,
+        // Price in force when the request was made, kept for auditing
+        price: { in: price.in || 0, out: price.out || 0, cacheRead: price.cacheRead ?? null, cacheWrite: price.cacheWrite ?? null, currency: price.currency || 'USD' },
+        // Always in USD, so it doesn't depend on the display currency; set below once free allowances are counted
+        cost: 0,
+    };
+
+    // Cost the new request on top of the earlier ones instead of working out the whole ledger again
+    const costs = getRequestCosts();
+    usage.ledger.push(entry);
+    applyEntryToUsage(usage, entry);
+    entry.cost = addRequestCost(costs, entry);
+
+    saveUsage(true);
 
     // Emit custom event for UI updates
     eventSource.emit('tokenUsageUpdated', getUsageStats());
@@ -288,42 +1037,186 @@ function recordUsage(inputTokens, outputTokens, chatId = null, modelId = null) {
     // Check for warnings/alerts
     checkWarnings();
 
-    console.log(`[Token Usage Tracker] Recorded: +${inputTokens} input, +${outputTokens} output, model: ${modelId || 'unknown'} (using ${getFriendlyTokenizerName(main_api).tokenizerName})`);
+    console.log(`[Token Usage Tracker] Recorded: +${inputTokens} input, +${outputTokens} output, model: ${modelId || 'unknown'}, type: ${entry.type} (${entry.countSource === 'reported' ? 'provider-reported' : `using ${getFriendlyTokenizerName(main_api).tokenizerName}`})`);
+    return entry;
 }
 
 /**
- * Reset all usage data
+ * Get the character, group and connection profile the current chat's requests are attributed to
+ * In group chats the active character is the member currently generating.
+ * @param {Object} [message] - Chat message to attribute; its original_avatar identifies the group member who wrote it
+ * @returns {{characterId: string|null, characterName: string|null, groupId: string|null, groupName: string|null, profileId: string|null}}
  */
-function resetAllUsage() {
-    const settings = getSettings();
-    settings.usage = structuredClone(defaultSettings.usage);
-    saveSettings();
-    eventSource.emit('tokenUsageUpdated', getUsageStats());
-    console.log('[Token Usage Tracker] All usage data reset');
+function getCurrentAttribution(message = null) {
+    const context = getContext();
+    const character = context.characterId !== undefined ? context.characters?.[context.characterId] : null;
+    const group = context.groupId ? context.groups?.find(g => g.id === context.groupId) : null;
+    const fromMessage = !!message?.original_avatar;
+    return {
+        characterId: (fromMessage ? message.original_avatar : character?.avatar) || null,
+        characterName: (fromMessage ? message.name : character?.name) || null,
+        groupId: group?.id || null,
+        groupName: group?.name || null,
+        profileId: extension_settings.connectionManager?.selectedProfile || null,
+    };
 }
 
+// Friendly names for built-in extensions that make background requests, keyed by folder name
+const KNOWN_SOURCES = {
+    'memory': 'Summarize',
+    'expressions': 'Expressions',
+    'stable-diffusion': 'Image Generation',
+    'caption': 'Image Captioning',
+    'translate': 'Translate',
+    'quick-reply': 'Quick Reply',
+};
+
+/** @type {string|null} Source set by TokenUsageTracker.tagNextRequest(), consumed by the next background request */
+let nextRequestSourceTag = null;
+
 /**
- * Get comprehensive usage statistics
- * @returns {Object} Usage statistics object
+ * Tag the next background request with the name of the extension making it
+ * @param {string} source - Display name of the caller
  */
-function getUsageStats() {
-    const settings = getSettings();
-    const usage = settings.usage;
-    const now = new Date();
+function tagNextRequest(source) {
+    nextRequestSourceTag = source ? String(source) : null;
+}
 
-    // Get current tokenizer info for display
-    let tokenizerInfo = { tokenizerName: 'Unknown' };
-    try {
-        tokenizerInfo = getFriendlyTokenizerName(main_api);
-    } catch (e) {
-        // Ignore if not available yet
+/**
+ * Guess which extension made a call from a stack trace
+ * @param {string} [stack] - Stack trace captured at the call site
+ * @returns {string|null} Friendly extension name, or null when no other extension is on the stack
+ */
+function guessSourceFromStack(stack) {
+    for (const frame of String(stack || '').split('\n')) {
+        if (frame.includes(extensionFolderPath)) continue;
+        const match = frame.match(/\/scripts\/extensions\/(third-party\/)?([^/]+)\//);
+        if (match) {
+            const folder = decodeURIComponent(match[2]);
+            return KNOWN_SOURCES[folder] || folder;
+        }
     }
+    return null;
+}
 
-    return {
-        allTime: { ...usage.allTime },
-        today: usage.byDay[getDayKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0, models: {} },
-        thisHour: usage.byHour[getHourKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
-        thisWeek: usage.byWeek[getWeekKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
+/**
+ * Work out who made a background request: an explicit tag wins, then the stack guess, then the connection profile
+ * @param {string} [stack] - Stack trace captured at the call site
+ * @param {string} [profileId] - Connection profile ID the request was sent with
+ * @returns {string}
+ */
+function resolveRequestSource(stack, profileId = null) {
+    const tag = nextRequestSourceTag;
+    nextRequestSourceTag = null;
+    if (tag) return tag;
+
+    const guess = guessSourceFromStack(stack);
+    if (guess) return guess;
+
+    if (profileId) {
+        const profile = extension_settings.connectionManager?.profiles?.find(p => p.id === profileId);
+        return `Profile: ${profile?.name || profileId}`;
+    }
+    return 'Unknown';
+}
+
+/**
+ * Rebuild all aggregate buckets from the baseline snapshot and the ledger
+ */
+function rebuildUsageFromLedger() {
+    const { ledger, baseline, historyId, pastHistoryIds } = getUsage();
+
+    const rebuilt = structuredClone(defaultUsage);
+    Object.assign(rebuilt, structuredClone(baseline || {}));
+    // Weeks are re-bucketed from the days, so they follow the current week start
+    rebuilt.byWeek = getWeekBuckets(rebuilt.byDay);
+    rebuilt.ledger = ledger;
+    rebuilt.baseline = baseline;
+    rebuilt.historyId = historyId;
+    rebuilt.pastHistoryIds = pastHistoryIds || [];
+
+    for (const entry of ledger) {
+        applyEntryToUsage(rebuilt, entry);
+    }
+    // The ledger still has the detail that retention dropped
+    pruneExpiredBuckets(rebuilt);
+
+    setUsage(rebuilt);
+    saveUsage();
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+    console.log(`[Token Usage Tracker] Rebuilt usage buckets from ${ledger.length} ledger entries`);
+}
+
+/**
+ * Get ledger entries, optionally limited to a time range
+ * @param {string} [startDate] - Start date (YYYY-MM-DD), inclusive
+ * @param {string} [endDate] - End date (YYYY-MM-DD), inclusive
+ * @returns {Object[]} Ledger entries in recording order
+ */
+function getLedger(startDate = null, endDate = null) {
+    const ledger = getUsage().ledger;
+    if (!startDate && !endDate) return [...ledger];
+
+    return ledger.filter(entry => {
+        const dayKey = getDayKey(new Date(entry.timestamp));
+        return (!startDate || dayKey >= startDate) && (!endDate || dayKey <= endDate);
+    });
+}
+
+/**
+ * Reset all usage data, saving a backup snapshot first
+ * @returns {Promise<boolean>} False if the backup failed and nothing was reset
+ */
+async function resetAllUsage() {
+    if (hasRecordedUsage(getUsage())) {
+        try {
+            await createUsageBackup('reset');
+        } catch (error) {
+            console.error('[Token Usage Tracker] Backup before reset failed:', error);
+            // @ts-ignore
+            toastr.error(`Couldn't save a backup, so nothing was reset: ${error.message}`);
+            return false;
+        }
+    }
+
+    setUsage(startNewHistory(structuredClone(defaultUsage)));
+    saveUsage();
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+    console.log('[Token Usage Tracker] All usage data reset');
+    return true;
+}
+
+/**
+ * Whether a usage object holds anything worth keeping
+ * @param {Object} usage - Usage data object
+ * @returns {boolean}
+ */
+function hasRecordedUsage(usage) {
+    // Data from before the ledger only has totals
+    return usage.ledger?.length > 0 || Boolean(usage.baseline) || usage.allTime?.messageCount > 0;
+}
+
+/**
+ * Get comprehensive usage statistics
+ * @returns {Object} Usage statistics object
+ */
+function getUsageStats() {
+    const usage = getUsage();
+    const now = new Date();
+
+    // Get current tokenizer info for display
+    let tokenizerInfo = { tokenizerName: 'Unknown' };
+    try {
+        tokenizerInfo = getFriendlyTokenizerName(main_api);
+    } catch (e) {
+        // Ignore if not available yet
+    }
+
+    return {
+        allTime: { ...usage.allTime },
+        today: usage.byDay[getDayKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0, models: {} },
+        thisHour: usage.byHour[getHourKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
+        thisWeek: usage.byWeek[getWeekKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
         thisMonth: usage.byMonth[getMonthKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
         currentChat: null, // Will be populated if context available
         // Metadata
@@ -335,6 +1228,10 @@ function getUsageStats() {
         byMonth: { ...usage.byMonth },
         byChat: { ...usage.byChat },
         byModel: { ...usage.byModel },
+        byType: { ...usage.byType },
+        bySource: { ...usage.bySource },
+        byCharacter: { ...usage.byCharacter },
+        byGroup: { ...usage.byGroup },
     };
 }
 
@@ -345,8 +1242,7 @@ function getUsageStats() {
  * @returns {Object} Aggregated usage for the range
  */
 function getUsageForRange(startDate, endDate) {
-    const settings = getSettings();
-    const usage = settings.usage;
+    const usage = getUsage();
 
     const result = { input: 0, output: 0, total: 0, messageCount: 0 };
 
@@ -368,16 +1264,132 @@ function getUsageForRange(startDate, endDate) {
  * @returns {Object} Usage for the chat
  */
 function getChatUsage(chatId) {
-    const settings = getSettings();
-    return settings.usage.byChat[chatId] || { input: 0, output: 0, total: 0, messageCount: 0 };
+    return getUsage().byChat[chatId] || { input: 0, output: 0, total: 0, messageCount: 0 };
+}
+
+
+/**
+ * In-flight generation requests, in the order they started.
+ * A request is created on GENERATION_STARTED, gets its prompt on GENERATE_AFTER_DATA and its response from the
+ * fetch wrapper, and is finished by MESSAGE_RECEIVED, GENERATION_STOPPED or IMPERSONATE_READY. Quiet and background
+ * requests finish when their response ends. Keeping every request separate means a quiet prompt fired while a
+ * reply streams, or a chat switch mid-stream, can't steal or drop another request's counts.
+ * @type {Map<string, Object>}
+ */
+const inFlightRequests = new Map();
+
+// Requests still in flight after this long are recorded as orphaned instead of being lost
+const ORPHAN_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Start tracking a generation request
+ * @param {string} type - Generation type ('normal', 'swipe', 'continue', 'quiet', 'impersonate', 'background', ...)
+ * @param {Object} [fields] - Initial field overrides
+ * @returns {Object} The in-flight request
+ */
+function startRequest(type, fields = {}) {
+    const context = getContext();
+    const request = {
+        id: uuidv4(),
+        type: type || 'normal',
+        chatId: context.chatMetadata?.chat_id || null,
+        modelId: null,
+        attribution: null,
+        source: null,
+        // For 'continue' requests, the token count of the message before continuing, so we can compute the delta
+        preContinueTokenCount: 0,
+        // Prompt pieces captured while the prompt is built, for the composition breakdown
+        combineData: null,
+        worldInfo: null,
+        /** @type {Promise<number>|null} Input token count - started early, awaited when the request finishes */
+        inputTokensPromise: null,
+        /** @type {Promise<Object|null>|null} Prompt share per part, see getPromptComposition() */
+        compositionPromise: null,
+        // Set when the prompt is about to be sent; the next generation fetch issued after that belongs to this request
+        sentAt: null,
+        // Set when the fetch wrapper claims the request, so a concurrent request's fetch can't take it
+        fetchIssued: false,
+        /** @type {Promise<Object|null>|null} Provider-reported usage, resolved when the response ends */
+        reportedUsagePromise: null,
+        /** @type {Promise<string>|null} Generated text of the response, for quiet requests without reported usage */
+        responseTextPromise: null,
+        orphanTimer: null,
+        ...fields,
+    };
+    request.orphanTimer = setTimeout(() => handleOrphanedRequest(request), ORPHAN_TIMEOUT_MS);
+    inFlightRequests.set(request.id, request);
+    return request;
+}
+
+/**
+ * Stop tracking a request. Handlers call this before recording, so a request is only ever recorded once.
+ * @param {Object} request
+ * @returns {boolean} True if the request was still in flight
+ */
+function endRequest(request) {
+    clearTimeout(request.orphanTimer);
+    return inFlightRequests.delete(request.id);
+}
+
+/**
+ * Find an in-flight request
+ * @param {Function} predicate - Filter applied to each request
+ * @param {boolean} [newest=true] - Return the most recently started match instead of the oldest
+ * @returns {Object|null}
+ */
+function findRequest(predicate, newest = true) {
+    const matches = [...inFlightRequests.values()].filter(predicate);
+    return (newest ? matches[matches.length - 1] : matches[0]) || null;
+}
+
+/**
+ * Whether a request is a main chat generation (finished by MESSAGE_RECEIVED or GENERATION_STOPPED)
+ */
+function isChatRequest(request) {
+    return !!request.inputTokensPromise && !['quiet', 'impersonate', 'background'].includes(request.type);
 }
 
+/**
+ * Record a finished request, preferring provider-reported counts over local estimates
+ * @param {Object} request - The request, already removed with endRequest()
+ * @param {Object|null} reported - Provider-reported usage from takeReportedUsage()
+ * @param {number} estimatedOutputTokens - Locally counted output, used when nothing was reported
+ * @param {Object} [details] - Extra recordUsage() details, overriding the request's own
+ * @returns {Promise<Object|null>} The ledger entry, or null if the request used no tokens
+ */
+async function recordRequestUsage(request, reported, estimatedOutputTokens, details = {}) {
+    const estimatedInputTokens = await request.inputTokensPromise;
+    const inputTokens = reported ? reported.input : estimatedInputTokens;
+    const outputTokens = reported ? reported.output : estimatedOutputTokens;
+    if (inputTokens <= 0 && outputTokens <= 0) return null;
+
+    return recordUsage(inputTokens, outputTokens, request.chatId, request.modelId, {
+        type: request.type,
+        source: request.source,
+        composition: scaleComposition(await request.compositionPromise, inputTokens),
+        ...request.attribution,
+        ...getCountDetails(reported),
+        ...details,
+    });
+}
 
-/** @type {Promise<number>|null} Promise that resolves to input token count - started early, awaited later */
-let pendingInputTokensPromise = null;
-let pendingModelId = null;
-// For 'continue' type generations, track the pre-continue token count so we can compute the delta
-let preContinueTokenCount = 0;
+/**
+ * Record a request that never finished (no receive/stop event, e.g. an aborted chat switch) with whatever is known
+ * @param {Object} request
+ */
+async function handleOrphanedRequest(request) {
+    if (!endRequest(request)) return;
+    // Nothing was sent if the prompt was never built
+    if (!request.inputTokensPromise) return;
+
+    try {
+        const reported = await takeReportedUsage(request);
+        const entry = await recordRequestUsage(request, reported, 0, { outcome: 'orphaned' });
+        console.warn(`[Token Usage Tracker] Request ${request.id} (${request.type}) never finished${entry ? `; recorded ${entry.input} in, ${entry.output} out as orphaned` : ''}`);
+    } catch (error) {
+        console.error('[Token Usage Tracker] Error recording orphaned request:', error);
+    }
+}
 
 /**
  * Count input tokens from the full prompt context (async helper)
@@ -465,257 +1477,827 @@ async function countInputTokens(generate_data) {
     return inputTokens;
 }
 
-/**
- * Handle GENERATE_AFTER_DATA event - start counting input tokens (non-blocking)
- * @param {object} generate_data - The generation data containing the full prompt
- * @param {boolean} dryRun - Whether this is a dry run (token counting only)
- */
-function handleGenerateAfterData(generate_data, dryRun) {
-    // Don't count dry runs - they're just for token estimation, not actual API calls
-    if (dryRun) return;
+/** Prompt composition categories with display labels and colors, in stacking order (bottom first) */
+const PROMPT_PARTS = {
+    system: { label: 'System prompt', color: '#6366f1' },
+    character: { label: 'Character & persona', color: '#ec4899' },
+    worldInfo: { label: 'World info', color: '#10b981' },
+    authorsNote: { label: "Author's note", color: '#f59e0b' },
+    examples: { label: 'Examples', color: '#8b5cf6' },
+    history: { label: 'Chat history', color: '#06b6d4' },
+    extensions: { label: 'Extensions', color: '#ef4444' },
+    images: { label: 'Images', color: '#84cc16' },
+    other: { label: 'Formatting & other', color: '#94a3b8' },
+};
 
-    // Capture model ID synchronously (fast)
-    pendingModelId = getCurrentModelId();
+// Prompt manager identifiers (chat completion) and the category they belong to; other identifiers are extension injections
+const PROMPT_IDENTIFIER_PARTS = {
+    main: 'system',
+    nsfw: 'system',
+    jailbreak: 'system',
+    enhanceDefinitions: 'system',
+    charDescription: 'character',
+    charPersonality: 'character',
+    scenario: 'character',
+    personaDescription: 'character',
+    worldInfoBefore: 'worldInfo',
+    worldInfoAfter: 'worldInfo',
+    dialogueExamples: 'examples',
+    chatHistory: 'history',
+    authorsNote: 'authorsNote',
+};
 
-    // Start token counting but DON'T await - let it run in parallel with the API request
-    pendingInputTokensPromise = countInputTokens(generate_data)
-        .then(count => {
-            console.log(`[Token Usage Tracker] Input tokens (full context): ${count}, model: ${pendingModelId}`);
-            return count;
-        })
-        .catch(error => {
-            console.error('[Token Usage Tracker] Error counting input tokens:', error);
-            return 0;
-        });
-}
+// Extension prompt key SillyTavern uses for the author's note
+const AUTHORS_NOTE_KEY = '2_floating_prompt';
 
 /**
- * Handle GENERATION_STARTED event - capture pre-continue state
- * This fires before the API call, allowing us to snapshot the current message state
- * for 'continue' type generations so we can calculate the delta later.
- * @param {string} type - Generation type: 'normal', 'continue', 'swipe', 'regenerate', 'quiet', etc.
- * @param {object} params - Generation parameters
- * @param {boolean} isDryRun - Whether this is a dry run
+ * Collect the known pieces of a request's prompt, so the prompt text can be split into categories
+ * @param {Object} request - In-flight request with the world info and combine data captured while the prompt was built
+ * @returns {{parts: Array<{category: string, text: string}>, history: Array<{role: string, text: string}>}}
+ *     Pieces other than chat messages, longest first, and chat messages, newest first
  */
-let isQuietGeneration = false;
-let isImpersonateGeneration = false;
+function collectPromptParts(request) {
+    const context = getContext();
+    const substitute = (text) => (typeof context.substituteParams === 'function' ? context.substituteParams(text) : text);
+    const parts = [];
+    const add = (category, text) => {
+        if (typeof text !== 'string') return;
+        text = text.trim();
+        // Very short strings would match all over the prompt
+        if (text.length >= 4) parts.push({ category, text });
+    };
 
-async function handleGenerationStarted(type, params, isDryRun) {
-    if (isDryRun) return;
+    // Text completion: the pieces SillyTavern combined into the prompt
+    const combined = request.combineData;
+    if (combined) {
+        add('system', combined.main);
+        add('system', combined.jailbreak);
+        add('character', combined.description);
+        add('character', combined.personality);
+        add('character', combined.persona);
+        add('character', combined.scenario);
+        add('worldInfo', combined.worldInfoBefore);
+        add('worldInfo', combined.worldInfoAfter);
+        add('examples', combined.mesExmString);
+    }
 
-    // Track the generation type for special handling
-    isQuietGeneration = (type === 'quiet');
-    isImpersonateGeneration = (type === 'impersonate');
+    // Chat completion preset prompts
+    if (main_api === 'openai') {
+        for (const prompt of oai_settings.prompts || []) {
+            if (prompt.marker || !prompt.content) continue;
+            add(PROMPT_IDENTIFIER_PARTS[prompt.identifier] || 'system', substitute(prompt.content));
+        }
+    }
 
-    // Reset pre-continue state
-    preContinueTokenCount = 0;
+    const character = context.characterId !== undefined ? context.characters?.[context.characterId] : null;
+    if (character) {
+        add('character', substitute(character.description || ''));
+        add('character', substitute(character.personality || ''));
+        add('character', substitute(character.scenario || ''));
+        for (const example of String(character.mes_example || '').split(/<START>/i)) {
+            add('examples', substitute(example));
+        }
+    }
+    add('character', substitute(context.powerUserSettings?.persona_description || ''));
 
-    // For continue type, capture the current message's token count
-    if (type === 'continue') {
-        try {
-            const context = getContext();
-            const lastMessage = context.chat[context.chat.length - 1];
+    for (const content of request.worldInfo || []) {
+        add('worldInfo', substitute(content));
+    }
 
-            if (lastMessage) {
-                // Use existing token count if available
-                if (lastMessage.extra?.token_count && typeof lastMessage.extra.token_count === 'number') {
-                    preContinueTokenCount = lastMessage.extra.token_count;
-                } else {
-                    // Calculate it ourselves
-                    let tokens = await countTokens(lastMessage.mes || '');
-                    if (lastMessage.extra?.reasoning) {
-                        tokens += await countTokens(lastMessage.extra.reasoning);
-                    }
-                    preContinueTokenCount = tokens;
+    for (const [key, prompt] of Object.entries(context.extensionPrompts || {})) {
+        add(key === AUTHORS_NOTE_KEY ? 'authorsNote' : 'extensions', substitute(prompt?.value || ''));
+    }
+
+    // Only recent messages can fit in the context
+    const history = [];
+    for (const message of (context.chat || []).slice(-300).reverse()) {
+        const text = typeof message.mes === 'string' ? message.mes.trim() : '';
+        if (!message.is_system && text) history.push({ role: message.is_user ? 'user' : 'assistant', text });
+    }
+
+    const seen = new Set();
+    return {
+        parts: parts
+            .filter(part => !seen.has(part.text) && seen.add(part.text))
+            .sort((a, b) => b.text.length - a.text.length),
+        history,
+    };
+}
+
+/**
+ * Break a prompt down into where its tokens came from
+ * Known pieces (character card, world info, ...) are found in the prompt text, and each chat message in its own place;
+ * whatever is left goes to the category of the message it's in. Pieces are measured in characters rather than tokenized
+ * again, and scaleComposition() turns the shares into the request's input tokens.
+ * @param {object} generate_data - The generation data containing the full prompt
+ * @param {Object} request - In-flight request the prompt belongs to
+ * @returns {{chars: Object<string, number>, imageTokens: number}} Characters per PROMPT_PARTS category, and the estimated tokens of attached images
+ */
+function getPromptComposition(generate_data, request) {
+    const { parts, history } = collectPromptParts(request);
+    const chars = {};
+    const add = (category, length) => {
+        if (length > 0) chars[category] = (chars[category] || 0) + length;
+    };
+
+    // Text completion prompts are one string; chat completion prompts are a message array
+    const segments = [];
+    if (typeof generate_data.prompt === 'string') {
+        segments.push({ text: generate_data.prompt });
+    } else if (Array.isArray(generate_data.prompt)) {
+        for (const message of generate_data.prompt) {
+            let text = typeof message.content === 'string' ? message.content : '';
+            let images = 0;
+            if (Array.isArray(message.content)) {
+                for (const part of message.content) {
+                    if (part.type === 'text' && part.text) text += part.text;
+                    if (part.type === 'image_url' || part.type === 'image') images++;
                 }
             }
-        } catch (error) {
-            console.error('[Token Usage Tracker] Error capturing pre-continue state:', error);
-            preContinueTokenCount = 0;
+            segments.push({ text, images, role: message.role, name: message.name, identifier: message.identifier });
+        }
+    }
+
+    // Each known piece is taken from the first message that has it
+    for (const part of parts) {
+        const segment = segments.find(item => item.text.includes(part.text));
+        if (!segment) continue;
+        segment.text = segment.text.replace(part.text, '');
+        add(part.category, part.text.length);
+    }
+
+    // Chat messages are matched newest first, each before the newer one and in a message of its own role,
+    // so a short message ("Yes.") can't be taken from the system prompt or from another message
+    let segmentIndex = segments.length - 1;
+    let end = segments[segmentIndex]?.text.length || 0;
+    for (const message of history) {
+        for (let index = segmentIndex; index >= 0; index--) {
+            const segment = segments[index];
+            if (segment.role && segment.role !== message.role) continue;
+            const searchEnd = (index === segmentIndex ? end : segment.text.length) - message.text.length;
+            const found = searchEnd >= 0 ? segment.text.lastIndexOf(message.text, searchEnd) : -1;
+            if (found < 0) continue;
+            segment.text = segment.text.slice(0, found) + segment.text.slice(found + message.text.length);
+            segment.hasHistory = true;
+            add('history', message.text.length);
+            segmentIndex = index;
+            end = found;
+            break;
+        }
+    }
+
+    let imageTokens = 0;
+    let seenHistory = false;
+    for (const segment of segments) {
+        // Same per-image estimate as countInputTokens()
+        imageTokens += (segment.images || 0) * 765;
+        seenHistory = seenHistory || !!segment.hasHistory;
+
+        const rest = segment.text.trim();
+        if (!rest) continue;
+        let category = 'other';
+        if (segment.identifier) {
+            category = PROMPT_IDENTIFIER_PARTS[segment.identifier] || 'extensions';
+        } else if (String(segment.name || '').startsWith('example_')) {
+            category = 'examples';
+        } else if (segment.role === 'system' && !seenHistory) {
+            category = 'system';
         }
+        add(category, rest.length);
     }
+
+    return { chars, imageTokens };
 }
 
 /**
- * Handle message received event - count output tokens and record
- * Uses SillyTavern's pre-calculated token_count when available (includes reasoning)
- * Falls back to manual counting if not available
- *
- * @param {number} messageIndex - Index of the message in the chat array
- * @param {string} type - Type of message event: 'normal', 'swipe', 'continue', 'command', 'first_message', 'extension', etc.
+ * Turn a prompt composition into input tokens per category, adding up to the recorded input tokens
+ * Images keep their estimate; the text tokens are split by each category's share of the prompt's characters.
+ * @param {{chars: Object<string, number>, imageTokens: number}|null} composition - From getPromptComposition()
+ * @param {number} inputTokens
+ * @returns {Object<string, number>|null} Tokens per PROMPT_PARTS category
  */
-async function handleMessageReceived(messageIndex, type) {
-    // Filter out events that don't correspond to actual API calls
-    // These events are emitted for messages created without calling the API
-    const nonApiTypes = ['command', 'first_message'];
-    if (nonApiTypes.includes(type)) {
-        console.log(`[Token Usage Tracker] Skipping non-API message type: ${type}`);
-        return;
-    }
-
-    // If there's no pending token counting promise, this likely isn't a real API response
-    // (e.g., could be a late-firing event after chat load)
-    if (!pendingInputTokensPromise) {
-        console.log(`[Token Usage Tracker] Skipping message with no pending token count (type: ${type || 'unknown'})`);
-        return;
+function scaleComposition(composition, inputTokens) {
+    const chars = composition?.chars || {};
+    const sum = Object.values(chars).reduce((acc, val) => acc + val, 0);
+    const imageTokens = Math.min(composition?.imageTokens || 0, inputTokens);
+    if ((!sum && !imageTokens) || !inputTokens) return null;
+
+    const scaled = {};
+    if (imageTokens > 0) scaled.images = imageTokens;
+    if (!sum) return scaled;
+
+    const textTokens = inputTokens - imageTokens;
+    let assigned = 0;
+    let largest = null;
+    for (const [category, length] of Object.entries(chars)) {
+        scaled[category] = Math.round(length * textTokens / sum);
+        assigned += scaled[category];
+        if (!largest || length > chars[largest]) largest = category;
     }
+    // Rounding leftovers go to the largest part
+    scaled[largest] += textTokens - assigned;
+    return scaled;
+}
 
-    try {
-        const context = getContext();
-        const message = context.chat[messageIndex];
+/**
+ * SillyTavern backend endpoints that send a generation request to a provider
+ */
+const GENERATION_ENDPOINTS = [
+    '/api/backends/chat-completions/generate',
+    '/api/backends/text-completions/generate',
+    '/api/backends/kobold/generate',
+    '/api/novelai/generate',
+];
 
-        if (!message || !message.mes) return;
+/**
+ * Normalize a provider usage block into { input, output, cacheRead, cacheWrite, reasoning }.
+ * Input always includes cached tokens; cacheRead/cacheWrite are the cached part of it.
+ * @param {Object} data - Parsed response body or stream chunk
+ * @returns {Object|null} Normalized usage, or null if the data has no usage block
+ */
+function extractReportedUsage(data) {
+    if (!data || typeof data !== 'object') return null;
 
-        let outputTokens;
+    // Cohere (billed_units at top level in v1, inside usage in v2)
+    const billed = data.meta?.billed_units || data.usage?.billed_units;
+    if (billed) {
+        return {
+            input: billed.input_tokens || 0,
+            output: billed.output_tokens || 0,
+            cacheRead: 0,
+            cacheWrite: 0,
+            reasoning: 0,
+        };
+    }
 
-        // Use SillyTavern's pre-calculated token count if available
-        // This already includes reasoning tokens when power_user.message_token_count_enabled is true
-        if (message.extra?.token_count && typeof message.extra.token_count === 'number') {
-            outputTokens = message.extra.token_count;
-            console.log(`[Token Usage Tracker] Using pre-calculated token count: ${outputTokens}`);
-        } else {
-            // Fall back to manual counting
-            outputTokens = await countTokens(message.mes);
+    // Google Gemini / Vertex AI
+    const gemini = data.usageMetadata || data.response?.usageMetadata;
+    if (gemini) {
+        const reasoning = gemini.thoughtsTokenCount || 0;
+        return {
+            input: gemini.promptTokenCount || 0,
+            output: (gemini.candidatesTokenCount || 0) + reasoning,
+            cacheRead: gemini.cachedContentTokenCount || 0,
+            cacheWrite: 0,
+            reasoning,
+        };
+    }
 
-            // Also count reasoning/thinking tokens (from Claude thinking, OpenAI o1, etc.)
-            if (message.extra?.reasoning) {
-                const reasoningTokens = await countTokens(message.extra.reasoning);
-                outputTokens += reasoningTokens;
-                console.log(`[Token Usage Tracker] Including ${reasoningTokens} reasoning tokens`);
-            }
-            console.log(`[Token Usage Tracker] Manually counted tokens: ${outputTokens}`);
+    // Claude stream start event carries the usage inside the message
+    const usage = data.usage || data.message?.usage;
+    if (usage && typeof usage === 'object') {
+        // OpenAI-compatible (OpenAI, OpenRouter, DeepSeek, most textgen backends)
+        if ('prompt_tokens' in usage || 'completion_tokens' in usage) {
+            return {
+                input: usage.prompt_tokens || 0,
+                output: usage.completion_tokens || 0,
+                cacheRead: usage.prompt_tokens_details?.cached_tokens || usage.prompt_cache_hit_tokens || 0,
+                cacheWrite: usage.prompt_tokens_details?.cache_write_tokens || 0,
+                reasoning: usage.completion_tokens_details?.reasoning_tokens || 0,
+            };
         }
 
-        // For 'continue' type, we only want the newly generated tokens, not the full message
-        // Subtract the pre-continue token count to get just the delta
-        if (type === 'continue' && preContinueTokenCount > 0) {
-            const originalOutputTokens = outputTokens;
-            outputTokens = Math.max(0, outputTokens - preContinueTokenCount);
-            console.log(`[Token Usage Tracker] Continue type: ${originalOutputTokens} total - ${preContinueTokenCount} pre-continue = ${outputTokens} new tokens`);
+        // Claude: input_tokens excludes cache reads and writes
+        if ('input_tokens' in usage || 'output_tokens' in usage) {
+            const cacheRead = usage.cache_read_input_tokens || 0;
+            const cacheWrite = usage.cache_creation_input_tokens || 0;
+            return {
+                input: (usage.input_tokens || 0) + cacheRead + cacheWrite,
+                output: usage.output_tokens || 0,
+                cacheRead,
+                cacheWrite,
+                reasoning: 0,
+            };
         }
+    }
 
-        // Reset pre-continue state
-        const savedPreContinueCount = preContinueTokenCount;
-        preContinueTokenCount = 0;
+    // llama.cpp native completion endpoint
+    if (typeof data.tokens_evaluated === 'number' || typeof data.tokens_predicted === 'number') {
+        return {
+            input: data.tokens_evaluated || 0,
+            output: data.tokens_predicted || 0,
+            cacheRead: data.tokens_cached || 0,
+            cacheWrite: 0,
+            reasoning: 0,
+        };
+    }
 
-        // Await the input token counting that was started in handleGenerateAfterData
-        const inputTokens = await pendingInputTokensPromise;
-        const modelId = pendingModelId;
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
+    return null;
+}
 
-        // Get current chat ID if available
-        const chatId = context.chatMetadata?.chat_id || null;
+/**
+ * Extract the generated text from a response body or stream chunk
+ * Covers OpenAI-compatible chat and text completions, Claude, Gemini, Cohere and the native textgen backends.
+ * @param {Object} data - Parsed response body or stream chunk
+ * @returns {string} Generated text, or '' if the data carries none
+ */
+function extractResponseText(data) {
+    if (!data || typeof data !== 'object') return '';
 
-        recordUsage(inputTokens, outputTokens, chatId, modelId);
+    const join = (parts) => parts.map(part => typeof part === 'string' ? part : part?.text || '').join('');
 
-        console.log(`[Token Usage Tracker] Recorded exchange: ${inputTokens} in, ${outputTokens} out, model: ${modelId || 'unknown'}${savedPreContinueCount > 0 ? ' (continue delta)' : ''}`);
-    } catch (error) {
-        console.error('[Token Usage Tracker] Error counting output tokens:', error);
+    if (Array.isArray(data.choices)) {
+        return join(data.choices.map(choice => choice.message?.content ?? choice.delta?.content ?? choice.text ?? ''));
+    }
+    // Claude: full message, or content_block_delta stream events
+    if (Array.isArray(data.content)) return join(data.content);
+    if (typeof data.delta?.text === 'string') return data.delta.text;
+    // Gemini / Vertex AI
+    const candidates = data.candidates || data.response?.candidates;
+    if (Array.isArray(candidates)) {
+        return join(candidates.flatMap(candidate => (candidate.content?.parts || []).filter(part => !part.thought)));
+    }
+    // Cohere v2, full message or content-delta stream events
+    if (Array.isArray(data.message?.content)) return join(data.message.content);
+    if (typeof data.delta?.message?.content?.text === 'string') return data.delta.message.content.text;
+    // KoboldAI (results), llama.cpp native (content), Ollama (response), Cohere v1 / NovelAI (text / output)
+    if (Array.isArray(data.results)) return join(data.results);
+    for (const key of ['content', 'response', 'text', 'output']) {
+        if (typeof data[key] === 'string') return data[key];
     }
+    return '';
 }
 
 /**
- * Handle generation stopped event - count tokens for cancelled/stopped generations
- * This ensures that input tokens (which were sent to the API) are still counted,
- * along with any partial output tokens that were generated before stopping.
+ * Read provider-reported usage and the generated text from a generation response (JSON or event stream)
+ * @param {Response} response - A clone of the generation response
+ * @returns {Promise<{reported: Object|null, text: string}>} Normalized usage (null if the provider didn't report any) and generated text
  */
-async function handleGenerationStopped() {
-    // If there's no pending token counting promise, nothing to record
-    if (!pendingInputTokensPromise) return;
-
+async function readGenerationResponse(response) {
+    let responseText = '';
     try {
-        let outputTokens = 0;
-
-        // Try to get partial output from the streaming processor
-        if (streamingProcessor) {
-            // Count main response text
-            if (streamingProcessor.result) {
-                outputTokens = await countTokens(streamingProcessor.result);
-                console.log(`[Token Usage Tracker] Partial output from stopped generation: ${outputTokens} tokens`);
-            }
+        const text = await response.text();
+        const contentType = response.headers.get('content-type') || '';
+        let reported = null;
+
+        if (contentType.includes('text/event-stream') || /^\s*(data|event):/.test(text)) {
+            // Streams may report usage across several chunks (e.g. Claude's message_start and message_delta),
+            // and cumulative counts in every chunk (Gemini), so keep the highest value seen for each field
+            for (const line of text.split('\n')) {
+                if (!line.startsWith('data:')) continue;
+                const payload = line.slice(5).trim();
+                if (!payload || payload === '[DONE]') continue;
+
+                let chunk;
+                try {
+                    chunk = JSON.parse(payload);
+                } catch (e) {
+                    continue;
+                }
 
-            // Also count any reasoning tokens that were generated
-            if (streamingProcessor.reasoningHandler?.reasoning) {
-                const reasoningTokens = await countTokens(streamingProcessor.reasoningHandler.reasoning);
-                outputTokens += reasoningTokens;
-                console.log(`[Token Usage Tracker] Including ${reasoningTokens} partial reasoning tokens`);
+                responseText += extractResponseText(chunk);
+                const chunkUsage = extractReportedUsage(chunk);
+                if (!chunkUsage) continue;
+                reported = reported || { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, reasoning: 0 };
+                for (const key of Object.keys(reported)) {
+                    reported[key] = Math.max(reported[key], chunkUsage[key]);
+                }
             }
+        } else {
+            const data = JSON.parse(text);
+            responseText = extractResponseText(data);
+            reported = extractReportedUsage(data);
         }
 
-        // Await the input token counting that was started in handleGenerateAfterData
-        const inputTokens = await pendingInputTokensPromise;
-        const modelId = pendingModelId;
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
-        preContinueTokenCount = 0; // Reset continue state too
-
-        // Get current chat ID if available
-        const context = getContext();
-        const chatId = context.chatMetadata?.chat_id || null;
-
-        // Record the usage - input tokens were sent even if generation was stopped
-        recordUsage(inputTokens, outputTokens, chatId, modelId);
-
-        console.log(`[Token Usage Tracker] Recorded stopped generation: ${inputTokens} in, ${outputTokens} out (partial), model: ${modelId || 'unknown'}`);
+        if (!reported || (reported.input + reported.output) === 0) return { reported: null, text: responseText };
+        console.log(`[Token Usage Tracker] Provider-reported usage: ${reported.input} in, ${reported.output} out`);
+        return { reported, text: responseText };
     } catch (error) {
-        console.error('[Token Usage Tracker] Error handling stopped generation:', error);
-        // Reset pending tokens even on error to prevent double counting
-        pendingInputTokensPromise = null;
-        preContinueTokenCount = 0;
+        // Aborted streams and non-JSON bodies simply have no usable usage block
+        return { reported: null, text: responseText };
     }
 }
 
 /**
- * Handle chat changed event
+ * Wrap window.fetch to read the usage block of generation responses
+ * The original response is returned untouched; usage is read from a clone in the background.
+ * A generation fetch belongs to the request that was sent most recently when the fetch is issued: requests are
+ * claimed before awaiting the response, so concurrent requests whose responses arrive out of order keep their own.
  */
-function handleChatChanged(chatId) {
-    // Reset pending tokens when chat changes to prevent cross-chat counting
-    pendingInputTokensPromise = null;
-    pendingModelId = null;
-    preContinueTokenCount = 0;
-    isQuietGeneration = false;
-    isImpersonateGeneration = false;
-    console.log(`[Token Usage Tracker] Chat changed to: ${chatId}`);
-    eventSource.emit('tokenUsageUpdated', getUsageStats());
-}
+function patchFetchForUsage() {
+    if (window.fetch['_tokenUsagePatched']) return;
 
-/**
- * Handle impersonate ready event - count output tokens for impersonation
- * This fires when impersonation completes and puts text into the input field
- * @param {string} text - The generated impersonation text
+    const originalFetch = window.fetch.bind(window);
+
+    const patchedFetch = async function(input, init) {
+        let request = null;
+        try {
+            const url = typeof input === 'string' ? input : (input instanceof URL ? input.href : input?.url);
+            request = url && GENERATION_ENDPOINTS.some(endpoint => url.includes(endpoint))
+                ? findRequest(r => r.sentAt && !r.fetchIssued)
+                : null;
+            if (request) request.fetchIssued = true;
+        } catch (error) {
+            console.error('[Token Usage Tracker] Error matching generation request:', error);
+        }
+
+        const response = await originalFetch(input, init);
+
+        try {
+            if (request && !response.ok) {
+                // Failed requests aren't billed
+                endRequest(request);
+            } else if (request) {
+                const body = readGenerationResponse(response.clone());
+                request.reportedUsagePromise = body.then(({ reported }) => reported);
+                request.responseTextPromise = body.then(({ text }) => text);
+                if (request.type === 'quiet') {
+                    body.then(() => finishQuietRequest(request));
+                }
+            }
+        } catch (error) {
+            console.error('[Token Usage Tracker] Error reading generation response:', error);
+        }
+
+        return response;
+    };
+    patchedFetch['_tokenUsagePatched'] = true;
+    window.fetch = patchedFetch;
+}
+
+/**
+ * Take the provider-reported usage of a request's response, if any
+ * @param {Object} request - In-flight request
+ * @returns {Promise<Object|null>} Normalized usage, or null to fall back to local estimates
  */
-async function handleImpersonateReady(text) {
-    if (!pendingInputTokensPromise) return;
+async function takeReportedUsage(request) {
+    const promise = request?.reportedUsagePromise;
+    if (!promise) return null;
+
+    // The response has normally ended by the time we get here; don't wait on a hung stream
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), 5000));
+    return await Promise.race([promise, timeout]);
+}
+
+/**
+ * Build the recordUsage() details for a request's token counts
+ * @param {Object|null} reported - Provider-reported usage from takeReportedUsage()
+ * @returns {Object} Details with the count source and, when reported, cache/reasoning counts
+ */
+function getCountDetails(reported) {
+    if (!reported) return { countSource: 'estimated' };
+    return {
+        countSource: 'reported',
+        cacheRead: reported.cacheRead,
+        cacheWrite: reported.cacheWrite,
+        reasoning: reported.reasoning,
+    };
+}
+
+/**
+ * Handle GENERATE_AFTER_DATA event - start counting input tokens (non-blocking)
+ * @param {object} generate_data - The generation data containing the full prompt
+ * @param {boolean} dryRun - Whether this is a dry run (token counting only)
+ */
+async function handleGenerateAfterData(generate_data, dryRun) {
+    // Dry runs aren't API calls, so they aren't recorded - but they show what the next send will cost
+    if (dryRun) {
+        refreshSendEstimate(generate_data);
+        return;
+    }
+
+    // The prompt belongs to the latest started request that hasn't been built yet
+    const request = findRequest(r => !r.inputTokensPromise) || startRequest('normal');
+
+    // Capture model ID synchronously (fast)
+    const modelId = getCurrentModelId();
+    request.modelId = modelId;
+    // Quiet prompts are background work, not part of the chat
+    if (request.type !== 'quiet') request.attribution = getCurrentAttribution();
+
+    // Start token counting but DON'T await - let it run in parallel with the API request
+    const inputTokensPromise = countInputTokens(generate_data)
+        .then(count => {
+            console.log(`[Token Usage Tracker] Input tokens (full context): ${count}, model: ${modelId}`);
+            return count;
+        })
+        .catch(error => {
+            console.error('[Token Usage Tracker] Error counting input tokens:', error);
+            return 0;
+        });
+    request.inputTokensPromise = inputTokensPromise;
+    request.compositionPromise = Promise.resolve()
+        .then(() => getPromptComposition(generate_data, request))
+        .catch(error => {
+            console.error('[Token Usage Tracker] Error breaking down prompt composition:', error);
+            return null;
+        });
+
+    // With budget enforcement on, the request has to wait for the estimate.
+    // SillyTavern awaits this event before sending, so stopping here means nothing is sent.
+    if (getSettings().budgetEnforcement !== 'off') {
+        const context = getContext();
+        const allowed = await checkBudgetBeforeRequest(await inputTokensPromise, {
+            model: modelId,
+            chatId: context.chatMetadata?.chat_id || null,
+            ...request.attribution,
+        });
+        if (!allowed) {
+            endRequest(request);
+            stopGeneration();
+            return;
+        }
+    }
+
+    request.sentAt = Date.now();
+}
+
+/**
+ * Handle GENERATE_BEFORE_COMBINE_PROMPTS event (text completion) - keep the prompt pieces for the composition breakdown
+ * @param {object} data - The pieces SillyTavern is about to combine into the prompt
+ */
+function handleBeforeCombinePrompts(data) {
+    const request = findRequest(r => !r.inputTokensPromise);
+    if (request) request.combineData = { ...data };
+}
+
+/**
+ * Handle WORLD_INFO_ACTIVATED event - keep the activated entries for the composition breakdown
+ * @param {Array<Object>} entries - Activated world info entries
+ */
+function handleWorldInfoActivated(entries) {
+    const request = findRequest(r => !r.inputTokensPromise);
+    if (request && Array.isArray(entries)) request.worldInfo = entries.map(entry => entry.content).filter(Boolean);
+}
+
+/** @type {{tokens: number, modelId: string|null}|null} Prompt size of the latest dry run, for the send button estimate */
+let lastPromptEstimate = null;
+
+/**
+ * Count a dry-run prompt and refresh the send button estimate with it
+ * @param {object} generate_data - The generation data of the dry run
+ */
+async function refreshSendEstimate(generate_data) {
+    if (!getSettings().showSendEstimate) return;
 
     try {
+        const tokens = await countInputTokens(generate_data);
+        lastPromptEstimate = { tokens, modelId: getCurrentModelId() };
+        updateSendEstimate();
+    } catch (error) {
+        console.error('[Token Usage Tracker] Error estimating prompt cost:', error);
+    }
+}
+
+/**
+ * Mount, update or remove the prompt cost estimate next to the send button
+ * Prices the latest dry-run prompt with the current model, and warns when it exceeds maxRequestCost.
+ */
+function updateSendEstimate() {
+    const settings = getSettings();
+    let widget = document.getElementById('token-usage-send-estimate');
+
+    if (!settings.showSendEstimate || !lastPromptEstimate) {
+        widget?.remove();
+        return;
+    }
 
-        // Await the input token counting that was started in handleGenerateAfterData
-        const inputTokens = await pendingInputTokensPromise;
-        const modelId = pendingModelId;
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
+    if (!widget) {
+        const sendForm = document.getElementById('rightSendForm');
+        if (!sendForm) return;
 
-        // Count output tokens from the impersonated text
+        widget = document.createElement('div');
+        widget.id = 'token-usage-send-estimate';
+        widget.className = 'token-usage-send-estimate';
+        sendForm.prepend(widget);
+    }
+
+    // The model may have changed since the dry run; the prompt size mostly won't have
+    const modelId = getCurrentModelId() || lastPromptEstimate.modelId;
+    const cost = calculateCost(lastPromptEstimate.tokens, 0, modelId);
+    const overLimit = settings.maxRequestCost > 0 && cost > settings.maxRequestCost;
+
+    widget.classList.toggle('token-usage-send-estimate-warning', overLimit);
+    widget.innerHTML = `
+        <i class="fa-solid ${overLimit ? 'fa-triangle-exclamation' : 'fa-calculator'}"></i>
+        <span>~${formatTokens(lastPromptEstimate.tokens)}${settings.showCostEstimates ? ` · ${formatCost(cost, true)}` : ''}</span>
+    `;
+    widget.title = [
+        `Next prompt: ~${formatNumberFull(lastPromptEstimate.tokens)} tokens`,
+        `Input cost with ${modelId || 'unknown model'}: ${formatCost(cost, true)}`,
+        overLimit ? `Over the per-request limit of ${formatCost(settings.maxRequestCost)}` : '',
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Handle GENERATION_STARTED event - start tracking the request and capture pre-continue state
+ * This fires before the API call, allowing us to snapshot the current message state
+ * for 'continue' type generations so we can calculate the delta later.
+ * @param {string} type - Generation type: 'normal', 'continue', 'swipe', 'regenerate', 'quiet', etc.
+ * @param {object} params - Generation parameters
+ * @param {boolean} isDryRun - Whether this is a dry run
+ */
+async function handleGenerationStarted(type, params, isDryRun) {
+    if (isDryRun) return;
+
+    // Quiet prompts come from extensions: keep them out of the chat's usage and note who asked
+    const request = type === 'quiet'
+        ? startRequest(type, { chatId: null, source: resolveRequestSource(new Error().stack) })
+        : startRequest(type);
+
+    // For continue type, capture the current message's token count
+    if (type === 'continue') {
+        try {
+            const context = getContext();
+            const lastMessage = context.chat[context.chat.length - 1];
+
+            if (lastMessage) {
+                // Use existing token count if available
+                if (lastMessage.extra?.token_count && typeof lastMessage.extra.token_count === 'number') {
+                    request.preContinueTokenCount = lastMessage.extra.token_count;
+                } else {
+                    // Calculate it ourselves
+                    let tokens = await countTokens(lastMessage.mes || '');
+                    if (lastMessage.extra?.reasoning) {
+                        tokens += await countTokens(lastMessage.extra.reasoning);
+                    }
+                    request.preContinueTokenCount = tokens;
+                }
+            }
+        } catch (error) {
+            console.error('[Token Usage Tracker] Error capturing pre-continue state:', error);
+            request.preContinueTokenCount = 0;
+        }
+    }
+}
+
+/**
+ * Handle message received event - count output tokens and record
+ * Uses SillyTavern's pre-calculated token_count when available (includes reasoning)
+ * Falls back to manual counting if not available
+ *
+ * @param {number} messageIndex - Index of the message in the chat array
+ * @param {string} type - Type of message event: 'normal', 'swipe', 'continue', 'command', 'first_message', 'extension', etc.
+ */
+async function handleMessageReceived(messageIndex, type) {
+    // Filter out events that don't correspond to actual API calls
+    // These events are emitted for messages created without calling the API
+    const nonApiTypes = ['command', 'first_message'];
+    if (nonApiTypes.includes(type)) {
+        console.log(`[Token Usage Tracker] Skipping non-API message type: ${type}`);
+        return;
+    }
+
+    const context = getContext();
+    const message = context.chat[messageIndex];
+    if (!message || !message.mes) return;
+
+    // Messages arrive in the order their requests were made.
+    // If there's no chat request in flight, this likely isn't a real API response
+    // (e.g., could be a late-firing event after chat load)
+    const request = findRequest(isChatRequest, false);
+    if (!request || !endRequest(request)) {
+        console.log(`[Token Usage Tracker] Skipping message with no request in flight (type: ${type || 'unknown'})`);
+        return;
+    }
+
+    try {
+        // Prefer the provider's own usage block; count locally only if the response didn't include one
+        const reported = await takeReportedUsage(request);
         let outputTokens = 0;
-        if (text && typeof text === 'string') {
-            outputTokens = await countTokens(text);
+
+        if (reported) {
+            // Reported output covers only this request, so continues need no delta
+            outputTokens = reported.output;
+        } else if (message.extra?.token_count && typeof message.extra.token_count === 'number') {
+            // Use SillyTavern's pre-calculated token count if available
+            // This already includes reasoning tokens when power_user.message_token_count_enabled is true
+            outputTokens = message.extra.token_count;
+            console.log(`[Token Usage Tracker] Using pre-calculated token count: ${outputTokens}`);
+        } else {
+            // Fall back to manual counting
+            outputTokens = await countTokens(message.mes);
+
+            // Also count reasoning/thinking tokens (from Claude thinking, OpenAI o1, etc.)
+            if (message.extra?.reasoning) {
+                const reasoningTokens = await countTokens(message.extra.reasoning);
+                outputTokens += reasoningTokens;
+                console.log(`[Token Usage Tracker] Including ${reasoningTokens} reasoning tokens`);
+            }
+            console.log(`[Token Usage Tracker] Manually counted tokens: ${outputTokens}`);
         }
 
-        // Get current chat ID if available
-        const context = getContext();
-        const chatId = context.chatMetadata?.chat_id || null;
+        // For 'continue' type, we only want the newly generated tokens, not the full message
+        // Subtract the pre-continue token count to get just the delta
+        if (!reported && request.preContinueTokenCount > 0) {
+            const originalOutputTokens = outputTokens;
+            outputTokens = Math.max(0, outputTokens - request.preContinueTokenCount);
+            console.log(`[Token Usage Tracker] Continue type: ${originalOutputTokens} total - ${request.preContinueTokenCount} pre-continue = ${outputTokens} new tokens`);
+        }
+
+        // Group messages name their speaker; otherwise use who was active when the request was sent
+        const attribution = message.original_avatar ? getCurrentAttribution(message) : request.attribution;
+
+        const entry = await recordRequestUsage(request, reported, outputTokens, { ...attribution });
+
+        if (entry) {
+            attachUsageToMessage(message, entry, request.type === 'continue');
+            renderMessageBadge(messageIndex);
+
+            console.log(`[Token Usage Tracker] Recorded exchange: ${entry.input} in, ${entry.output} out, model: ${entry.model || 'unknown'}${reported ? ' (reported)' : ''}${!reported && request.preContinueTokenCount > 0 ? ' (continue delta)' : ''}`);
+        }
+    } catch (error) {
+        console.error('[Token Usage Tracker] Error counting output tokens:', error);
+    }
+}
+
+/**
+ * Handle generation stopped event - count tokens for cancelled/stopped generations
+ * This ensures that input tokens (which were sent to the API) are still counted,
+ * along with any partial output tokens that were generated before stopping.
+ */
+async function handleGenerationStopped() {
+    // The user stops the chat generation that's currently streaming
+    const request = findRequest(isChatRequest);
+    if (!request || !endRequest(request)) return;
+
+    try {
+        // Aborted streams rarely carry a usage block, but use it if the provider managed to send one
+        const reported = await takeReportedUsage(request);
+        let outputTokens = 0;
+
+        // Try to get partial output from the streaming processor
+        if (!reported && streamingProcessor) {
+            // Count main response text
+            if (streamingProcessor.result) {
+                outputTokens = await countTokens(streamingProcessor.result);
+                console.log(`[Token Usage Tracker] Partial output from stopped generation: ${outputTokens} tokens`);
+            }
+
+            // Also count any reasoning tokens that were generated
+            if (streamingProcessor.reasoningHandler?.reasoning) {
+                const reasoningTokens = await countTokens(streamingProcessor.reasoningHandler.reasoning);
+                outputTokens += reasoningTokens;
+                console.log(`[Token Usage Tracker] Including ${reasoningTokens} partial reasoning tokens`);
+            }
+        }
+
+        // Record the usage - input tokens were sent even if generation was stopped
+        const entry = await recordRequestUsage(request, reported, outputTokens, { outcome: 'stopped' });
+
+        if (entry) {
+            console.log(`[Token Usage Tracker] Recorded stopped generation: ${entry.input} in, ${entry.output} out (partial), model: ${entry.model || 'unknown'}`);
+        }
+    } catch (error) {
+        console.error('[Token Usage Tracker] Error handling stopped generation:', error);
+    }
+}
+
+/**
+ * Handle chat changed event
+ * Requests in flight keep the chat they were started in, so nothing needs resetting here.
+ */
+function handleChatChanged(chatId) {
+    console.log(`[Token Usage Tracker] Chat changed to: ${chatId}${inFlightRequests.size ? ` (${inFlightRequests.size} request(s) still in flight)` : ''}`);
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+}
+
+/**
+ * Handle impersonate ready event - count output tokens for impersonation
+ * This fires when impersonation completes and puts text into the input field
+ * @param {string} text - The generated impersonation text
+ */
+async function handleImpersonateReady(text) {
+    const request = findRequest(r => r.type === 'impersonate' && !!r.inputTokensPromise, false);
+    if (!request || !endRequest(request)) return;
 
-        recordUsage(inputTokens, outputTokens, chatId, modelId);
+    try {
+        const reported = await takeReportedUsage(request);
 
+        // Count output tokens from the impersonated text
+        let outputTokens = 0;
+        if (!reported && text && typeof text === 'string') {
+            outputTokens = await countTokens(text);
+        }
 
-        // Reset impersonate state
-        isImpersonateGeneration = false;
+        await recordRequestUsage(request, reported, outputTokens);
     } catch (error) {
         console.error('[Token Usage Tracker] Error handling impersonate ready:', error);
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
-        isImpersonateGeneration = false;
+    }
+}
+
+/**
+ * Record a quiet generation once its response has ended
+ * For quiet prompts (Guided Generations, Summarize, Expressions, etc.) MESSAGE_RECEIVED doesn't fire,
+ * so the end of the response is the only completion signal.
+ * @param {Object} request
+ */
+async function finishQuietRequest(request) {
+    if (!endRequest(request)) return;
+
+    try {
+        const reported = await takeReportedUsage(request);
+
+        // Many text completion backends send no usage block, so count the generated text instead
+        let outputTokens = 0;
+        if (!reported) {
+            const text = await request.responseTextPromise;
+            if (text) outputTokens = await countTokens(text);
+        }
+
+        await recordRequestUsage(request, reported, outputTokens);
+    } catch (e) {
+        console.error('[Token Usage Tracker] Error recording quiet generation:', e);
     }
 }
 
@@ -724,12 +2306,13 @@ function registerSlashCommands() {
         name: 'tokenusage',
         callback: async () => {
             const stats = getUsageStats();
+            const costs = calculatePeriodCosts();
             const output = [
                 `Tokenizer: ${stats.tokenizer}`,
-                `Today: ${stats.today.total} tokens`,
-                `This Week: ${stats.thisWeek.total} tokens`,
-                `This Month: ${stats.thisMonth.total} tokens`,
-                `All Time: ${stats.allTime.total} tokens`,
+                `Today: ${stats.today.total} tokens (${formatCost(costs.today)})`,
+                `This Week: ${stats.thisWeek.total} tokens (${formatCost(costs.week)})`,
+                `This Month: ${stats.thisMonth.total} tokens (${formatCost(costs.month)})`,
+                `All Time: ${stats.allTime.total} tokens (${formatCost(calculateAllTimeCost())})`,
             ].join('\n');
             return output;
         },
@@ -741,13 +2324,12 @@ function registerSlashCommands() {
         name: 'tokenreset',
         callback: async () => {
             if (confirm('Are you sure you want to reset all token usage data?')) {
-                resetAllUsage();
-                return 'All token usage data has been reset.';
+                return await resetAllUsage() ? 'All token usage data has been reset.' : 'Reset failed: the backup could not be saved.';
             }
             return 'Reset cancelled.';
         },
         returns: 'Confirmation message',
-        helpString: 'Resets all token usage data.',
+        helpString: 'Resets all token usage data. A backup snapshot is saved first.',
     }));
 
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
@@ -772,12 +2354,76 @@ function registerSlashCommands() {
 
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'tokenexport',
-        callback: async () => {
-            exportUsageData();
-            return 'Token usage data exported.';
+        callback: async (args) => {
+            if (String(args.format || 'json').toLowerCase() !== 'csv') {
+                exportUsageData();
+                return 'Token usage data exported.';
+            }
+            try {
+                const rowCount = exportUsageCsv({
+                    ...parseExportRange(args.range),
+                    granularity: String(args.granularity || 'day'),
+                    columns: args.columns ? String(args.columns).split(',').map(column => column.trim()) : undefined,
+                    currency: args.currency ? String(args.currency).toUpperCase() : undefined,
+                    decimals: args.decimals !== undefined ? Number(args.decimals) : undefined,
+                    decimalSeparator: args.separator ? String(args.separator) : undefined,
+                });
+                return `Exported ${rowCount} CSV rows.`;
+            } catch (error) {
+                // @ts-ignore
+                toastr.error(error.message);
+                return `CSV export failed: ${error.message}`;
+            }
         },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'format',
+                description: 'json (full data) or csv',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'json',
+                enumList: ['json', 'csv'],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'range',
+                description: 'CSV date range: all, today, week, month, Nd (last N days), YYYY-MM-DD..YYYY-MM-DD',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'all',
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'granularity',
+                description: 'CSV rows: ' + Object.keys(CSV_GRANULARITIES).join(', '),
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'day',
+                enumList: Object.keys(CSV_GRANULARITIES),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'columns',
+                description: 'Comma-separated CSV columns: ' + Object.keys(CSV_COLUMNS).join(', '),
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'tokens,messages,cost',
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'currency',
+                description: 'Currency of the CSV cost column (the display currency by default)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: Object.keys(CURRENCIES),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'decimals',
+                description: 'Decimal places of the CSV cost column',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                defaultValue: '4',
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'separator',
+                description: 'CSV decimal separator; with "," fields are separated by ";"',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: '.',
+                enumList: ['.', ','],
+            }),
+        ],
         returns: 'Confirmation message',
-        helpString: 'Exports all token usage data as a JSON file.',
+        helpString: 'Exports token usage data as a JSON file, or as a CSV spreadsheet with format=csv.',
     }));
 }
 
@@ -790,6 +2436,9 @@ window['TokenUsageTracker'] = {
     getChatUsage,
     resetAllUsage,
     recordUsage,
+    getLedger,
+    rebuildUsageFromLedger,
+    tagNextRequest, // Name the caller of the next background request: TokenUsageTracker.tagNextRequest('My Extension')
     countTokens, // Expose the token counting function
     // Subscribe to updates
     onUpdate: (callback) => {
@@ -801,6 +2450,18 @@ window['TokenUsageTracker'] = {
     },
 };
 
+/**
+ * Format an amount in the display currency
+ * @param {number} amount - Amount in the display currency
+ * @param {boolean} [precise] - Show two extra decimals, for per-request amounts
+ * @returns {string}
+ */
+function formatCost(amount, precise = false) {
+    const currency = getSettings().currency || 'USD';
+    const digits = (CURRENCIES[currency]?.decimals ?? 2) + (precise ? 2 : 0);
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(amount || 0);
+}
+
 /**
  * Format token count with K/M suffix
  */
@@ -825,10 +2486,12 @@ function formatNumberFull(num) {
  */
 function getModelColor(modelId) {
     const settings = getSettings();
+    const canonicalId = resolveModelAlias(modelId);
 
-    // Return persisted color if exists
-    if (settings.modelColors[modelId]) {
-        return settings.modelColors[modelId];
+    // Return persisted color if exists (aliased models share their canonical model's color)
+    const persistedColor = settings.modelColors[canonicalId] || settings.modelColors[modelId];
+    if (persistedColor) {
+        return persistedColor;
     }
 
     // Get all existing assigned colors to avoid duplicates
@@ -847,7 +2510,7 @@ function getModelColor(modelId) {
     } while (attempts < 50 && isTooSimilar(newColor, existingColors));
 
     // Persist the new color
-    settings.modelColors[modelId] = newColor;
+    settings.modelColors[canonicalId] = newColor;
     saveSettings();
 
     return newColor;
@@ -904,61 +2567,780 @@ function setModelColor(modelId, color) {
     saveSettings();
 }
 
+// Currencies that costs can be shown and prices entered in
+const CURRENCIES = {
+    USD: { name: 'US Dollar', decimals: 2 },
+    EUR: { name: 'Euro', decimals: 2 },
+    GBP: { name: 'British Pound', decimals: 2 },
+    JPY: { name: 'Japanese Yen', decimals: 0 },
+    CNY: { name: 'Chinese Yuan', decimals: 2 },
+    KRW: { name: 'South Korean Won', decimals: 0 },
+    INR: { name: 'Indian Rupee', decimals: 2 },
+    CAD: { name: 'Canadian Dollar', decimals: 2 },
+    AUD: { name: 'Australian Dollar', decimals: 2 },
+    CHF: { name: 'Swiss Franc', decimals: 2 },
+    RUB: { name: 'Russian Ruble', decimals: 2 },
+    BRL: { name: 'Brazilian Real', decimals: 2 },
+};
+
 /**
- * Get price settings for a model
- * @param {string} modelId
- * @returns {{in: number, out: number}} Price per 1M tokens
+ * Whether amounts can be converted to a currency, i.e. it is USD or has an exchange rate
+ * @param {string} currency
+ * @param {Object} [exchangeRates] - Defaults to the saved rates
+ * @returns {boolean}
  */
-function getModelPrice(modelId) {
-    const settings = getSettings();
-    return settings.modelPrices[modelId] || { in: 0, out: 0 };
+function hasExchangeRate(currency, exchangeRates = getSettings().exchangeRates) {
+    return currency === 'USD' || Boolean(exchangeRates[currency]?.some(entry => entry.rate > 0));
 }
 
 /**
- * Set price settings for a model
- * @param {string} modelId
- * @param {string|number} priceIn - Price per 1M input tokens
- * @param {string|number} priceOut - Price per 1M output tokens
+ * Get the exchange rate of a currency in force on a given day
+ * Days before the first rate use the first rate. Only currencies with rates can be chosen for display (see hasExchangeRate);
+ * a price entered in a currency without rates is treated as 1:1.
+ * @param {string} currency
+ * @param {string} [dayKey] - Day (YYYY-MM-DD), today by default
+ * @returns {number} Units of the currency per 1 USD
  */
-function setModelPrice(modelId, priceIn, priceOut) {
-    const settings = getSettings();
-    settings.modelPrices[modelId] = {
-        in: parseFloat(String(priceIn)) || 0,
-        out: parseFloat(String(priceOut)) || 0
-    };
-    saveSettings();
+function getExchangeRate(currency, dayKey = getDayKey()) {
+    if (!currency || currency === 'USD') return 1;
+    const rates = getSettings().exchangeRates[currency] || [];
+    const rate = rates.filter(entry => entry.from <= dayKey).pop() || rates[0];
+    return rate?.rate > 0 ? rate.rate : 1;
 }
 
 /**
- * Calculate cost for a given token usage and model
- * @param {number} inputTokens
+ * Convert an amount between currencies at the rates in force on a given day
+ * @param {number} amount
+ * @param {string} fromCurrency
+ * @param {string} [toCurrency] - The display currency by default
+ * @param {string} [dayKey] - Day the amount was spent on (today by default)
+ * @returns {number}
+ */
+function convertCurrency(amount, fromCurrency, toCurrency = getSettings().currency, dayKey = getDayKey()) {
+    if ((fromCurrency || 'USD') === (toCurrency || 'USD')) return amount;
+    return amount / getExchangeRate(fromCurrency, dayKey) * getExchangeRate(toCurrency, dayKey);
+}
+
+/**
+ * Bundled prices (USD per 1M tokens) used for models without a price of their own
+ * Patterns are globs matched against normalized model IDs (see normalizeCatalogModelId), so
+ * 'claude-3-5-sonnet*' also covers 'anthropic/claude-3.5-sonnet' from OpenRouter. The most specific pattern wins.
+ * Bump the version whenever prices change.
+ */
+const PRICE_CATALOG = {
+    version: '2026-10-19',
+    prices: [
+        // OpenAI
+        { match: 'gpt-5*', in: 1.25, out: 10, cacheRead: 0.125 },
+        { match: 'gpt-5-mini*', in: 0.25, out: 2, cacheRead: 0.025 },
+        { match: 'gpt-5-nano*', in: 0.05, out: 0.4, cacheRead: 0.005 },
+        // 'gpt-4-1*' would also catch dated GPT-4 snapshots such as gpt-4-1106-preview
+        { match: 'gpt-4-1', in: 2, out: 8, cacheRead: 0.5 },
+        { match: 'gpt-4-1-*', in: 2, out: 8, cacheRead: 0.5 },
+        { match: 'gpt-4-1-mini*', in: 0.4, out: 1.6, cacheRead: 0.1 },
+        { match: 'gpt-4-1-nano*', in: 0.1, out: 0.4, cacheRead: 0.025 },
+        { match: 'gpt-4o*', in: 2.5, out: 10, cacheRead: 1.25 },
+        { match: 'gpt-4o-mini*', in: 0.15, out: 0.6, cacheRead: 0.075 },
+        { match: 'chatgpt-4o*', in: 5, out: 15 },
+        { match: 'gpt-4-turbo*', in: 10, out: 30 },
+        { match: 'gpt-4-1106*', in: 10, out: 30 },
+        { match: 'gpt-4-0125*', in: 10, out: 30 },
+        { match: 'gpt-4', in: 30, out: 60 },
+        { match: 'gpt-3-5-turbo*', in: 0.5, out: 1.5 },
+        { match: 'o1*', in: 15, out: 60, cacheRead: 7.5 },
+        { match: 'o1-mini*', in: 1.1, out: 4.4, cacheRead: 0.55 },
+        { match: 'o1-pro*', in: 150, out: 600 },
+        { match: 'o3*', in: 2, out: 8, cacheRead: 0.5 },
+        { match: 'o3-mini*', in: 1.1, out: 4.4, cacheRead: 0.55 },
+        { match: 'o3-pro*', in: 20, out: 80 },
+        { match: 'o4-mini*', in: 1.1, out: 4.4, cacheRead: 0.275 },
+        // Anthropic
+        { match: 'claude-opus-4*', in: 15, out: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+        { match: 'claude-opus-4-5*', in: 5, out: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+        { match: 'claude-sonnet-4*', in: 3, out: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+        { match: 'claude-haiku-4-5*', in: 1, out: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+        { match: 'claude-3-7-sonnet*', in: 3, out: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+        { match: 'claude-3-5-sonnet*', in: 3, out: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+        { match: 'claude-3-5-haiku*', in: 0.8, out: 4, cacheRead: 0.08, cacheWrite: 1 },
+        { match: 'claude-3-opus*', in: 15, out: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+        { match: 'claude-3-sonnet*', in: 3, out: 15 },
+        { match: 'claude-3-haiku*', in: 0.25, out: 1.25, cacheRead: 0.03, cacheWrite: 0.3 },
+        // Google
+        { match: 'gemini-2-5-pro*', in: 1.25, out: 10, cacheRead: 0.31 },
+        { match: 'gemini-2-5-flash*', in: 0.3, out: 2.5, cacheRead: 0.075 },
+        { match: 'gemini-2-5-flash-lite*', in: 0.1, out: 0.4, cacheRead: 0.025 },
+        { match: 'gemini-2-0-flash*', in: 0.1, out: 0.4, cacheRead: 0.025 },
+        { match: 'gemini-2-0-flash-lite*', in: 0.075, out: 0.3 },
+        { match: 'gemini-1-5-pro*', in: 1.25, out: 5 },
+        { match: 'gemini-1-5-flash*', in: 0.075, out: 0.3 },
+        // Mistral
+        { match: 'mistral-large*', in: 2, out: 6 },
+        { match: 'mistral-medium*', in: 0.4, out: 2 },
+        { match: 'mistral-small*', in: 0.1, out: 0.3 },
+        { match: '*mistral-nemo*', in: 0.15, out: 0.15 },
+        { match: 'pixtral-large*', in: 2, out: 6 },
+        { match: 'codestral*', in: 0.3, out: 0.9 },
+        { match: 'ministral-8b*', in: 0.1, out: 0.1 },
+        { match: 'ministral-3b*', in: 0.04, out: 0.04 },
+        // DeepSeek
+        { match: 'deepseek-chat*', in: 0.28, out: 0.42, cacheRead: 0.028 },
+        { match: 'deepseek-reasoner*', in: 0.28, out: 0.42, cacheRead: 0.028 },
+        { match: 'deepseek-r1*', in: 0.55, out: 2.19, cacheRead: 0.14 },
+    ],
+};
+
+/**
+ * Normalize a model ID for catalog and price-sheet matching
+ * Drops an OpenRouter-style provider prefix and variant suffix and treats dots as dashes ('anthropic/claude-3.5-sonnet:beta' -> 'claude-3-5-sonnet').
+ * @param {string} modelId
+ * @returns {string}
+ */
+function normalizeCatalogModelId(modelId) {
+    return String(modelId).toLowerCase().split('/').pop().split(':')[0].replace(/\./g, '-');
+}
+
+// Catalog lookups by model ID; the catalog is constant, so results never go stale
+const catalogPriceCache = new Map();
+
+/**
+ * Find the bundled catalog price for a model
+ * OpenRouter ':free' variants cost nothing. Exact patterns beat globs, then the pattern with the most literal characters wins.
+ * @param {string} modelId
+ * @returns {{in: number, out: number, cacheRead: number|null, cacheWrite: number|null}|null} Price per 1M tokens, or null if not in the catalog
+ */
+function findCatalogPrice(modelId) {
+    if (catalogPriceCache.has(modelId)) return catalogPriceCache.get(modelId);
+
+    let price = null;
+    if (/:free$/i.test(String(modelId))) {
+        price = { in: 0, out: 0, cacheRead: null, cacheWrite: null };
+    } else {
+        const normalized = normalizeCatalogModelId(modelId);
+        const specificity = (pattern) => (pattern.includes('*') ? 0 : 1000) + pattern.replace(/\*/g, '').length;
+        let best = null;
+        for (const entry of PRICE_CATALOG.prices) {
+            if (!globToRegExp(entry.match).test(normalized)) continue;
+            if (!best || specificity(entry.match) > specificity(best.match)) best = entry;
+        }
+        if (best) {
+            price = { in: best.in, out: best.out, cacheRead: best.cacheRead ?? null, cacheWrite: best.cacheWrite ?? null };
+        }
+    }
+
+    catalogPriceCache.set(modelId, price);
+    return price;
+}
+
+// Per-request pricing rules of a price; like the rates, they change with each dated price change
+const PRICE_RULE_KEYS = ['requestFee', 'freeRequests', 'tiers'];
+
+/**
+ * Resolve a model's stored price to the price in force on a given day
+ * The top-level price applies until the first dated change in its history; after that the latest change on or before the day wins.
+ * @param {Object} price - Stored model price, with its history
+ * @param {string} [dayKey] - Day (YYYY-MM-DD), today by default
+ * @returns {Object} Price without history
+ */
+function resolveDatedPrice(price, dayKey = getDayKey()) {
+    const { history, ...basePrice } = price;
+    const change = history?.[getPriceChangeIndex(price, dayKey)];
+    if (!change) return basePrice;
+    // The currency belongs to the model; a dated change replaces the rates and the per-request rules
+    const { from, ...changedPrice } = change;
+    return { currency: basePrice.currency, ...changedPrice };
+}
+
+/**
+ * Find the dated change in force on a given day
+ * @param {Object} price - Stored model price, with its history (sorted by date)
+ * @param {string} [dayKey] - Day (YYYY-MM-DD), today by default
+ * @returns {number} Index in the price history, or -1 while the top-level price applies
+ */
+function getPriceChangeIndex(price, dayKey = getDayKey()) {
+    const history = price?.history || [];
+    for (let index = history.length - 1; index >= 0; index--) {
+        if (history[index].from <= dayKey) return index;
+    }
+    return -1;
+}
+
+/**
+ * Get the price of a model in force on a given day
+ * Aliased models use their canonical model's price. Models without a price of their own fall back to the bundled catalog.
+ * @param {string} modelId
+ * @param {string} [dayKey] - Day (YYYY-MM-DD), today by default
+ * @returns {{in: number, out: number, cacheRead?: number|null, cacheWrite?: number|null, currency?: string}} Price per 1M tokens (in USD unless currency says otherwise)
+ */
+function getModelPrice(modelId, dayKey = getDayKey()) {
+    const settings = getSettings();
+    const canonicalId = resolveModelAlias(modelId);
+    const price = settings.modelPrices[canonicalId] || settings.modelPrices[modelId];
+    if (!price) return findCatalogPrice(canonicalId) || findCatalogPrice(modelId) || { in: 0, out: 0 };
+    return resolveDatedPrice(price, dayKey);
+}
+
+/**
+ * Parse a price input value (blank = null)
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseOptionalPrice(value) {
+    const parsed = parseFloat(String(value));
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Set the price in force today for a model: the dated change that applies today, or else the top-level price
+ * @param {string} modelId
+ * @param {string|number} priceIn - Price per 1M input tokens
+ * @param {string|number} priceOut - Price per 1M output tokens
+ * @param {string|number} [priceCacheRead] - Price per 1M cached input tokens read (blank = input price)
+ * @param {string|number} [priceCacheWrite] - Price per 1M cached input tokens written (blank = input price)
+ * @returns {number} Index of the dated change that was set, or -1 for the top-level price
+ */
+function setModelPrice(modelId, priceIn, priceOut, priceCacheRead = '', priceCacheWrite = '') {
+    const settings = getSettings();
+    if (!settings.modelPrices[modelId]) settings.modelPrices[modelId] = {};
+    const price = settings.modelPrices[modelId];
+    const index = getPriceChangeIndex(price);
+    Object.assign(index >= 0 ? price.history[index] : price, {
+        in: parseFloat(String(priceIn)) || 0,
+        out: parseFloat(String(priceOut)) || 0,
+        cacheRead: parseOptionalPrice(priceCacheRead),
+        cacheWrite: parseOptionalPrice(priceCacheWrite),
+    });
+    saveSettings();
+    return index;
+}
+
+/**
+ * Set the currency a model's prices (including its dated changes) are entered in
+ * @param {string} modelId
+ * @param {string} currency
+ */
+function setModelPriceCurrency(modelId, currency) {
+    const settings = getSettings();
+    settings.modelPrices[modelId] = {
+        ...(settings.modelPrices[modelId] || findCatalogPrice(modelId) || { in: 0, out: 0, cacheRead: null, cacheWrite: null }),
+        currency,
+    };
+    saveSettings();
+}
+
+/**
+ * Set a model's per-request pricing rules from today on
+ * Days before keep the rules they had: unless the price in force took effect today, a dated change from today is added with its rates.
+ * @param {string} modelId
+ * @param {Object} rules - { requestFee, freeRequests: { count, window } | null, tiers: [{ above, in, out, cacheRead, cacheWrite }] }
+ * @returns {boolean} True if a dated change was added
+ */
+function setModelPriceRules(modelId, rules) {
+    const settings = getSettings();
+    const today = getDayKey();
+    if (!settings.modelPrices[modelId]) settings.modelPrices[modelId] = { ...(findCatalogPrice(modelId) || { in: 0, out: 0, cacheRead: null, cacheWrite: null }) };
+    const price = settings.modelPrices[modelId];
+    const history = price.history || [];
+
+    let change = history[getPriceChangeIndex(price, today)];
+    const added = change?.from !== today;
+    if (added) {
+        const { currency, ...inForce } = resolveDatedPrice(price, today);
+        change = { ...inForce, from: today };
+        history.push(change);
+        history.sort((a, b) => a.from.localeCompare(b.from));
+        price.history = history;
+    }
+
+    const tiers = [...(rules.tiers || [])].sort((a, b) => a.above - b.above);
+    for (const [key, value] of Object.entries({ requestFee: rules.requestFee, freeRequests: rules.freeRequests, tiers: tiers.length ? tiers : null })) {
+        if (value) change[key] = value;
+        else delete change[key];
+    }
+    saveSettings();
+    return added;
+}
+
+/**
+ * Add or update a dated price change for a model
+ * @param {string} modelId
+ * @param {number} index - Index in the model's price history, or -1 to add a new change
+ * @param {string} from - Effective-from day (YYYY-MM-DD)
+ * @param {string|number} priceIn - Price per 1M input tokens
+ * @param {string|number} priceOut - Price per 1M output tokens
+ * @param {string|number} [priceCacheRead] - Price per 1M cached input tokens read (blank = input price)
+ * @param {string|number} [priceCacheWrite] - Price per 1M cached input tokens written (blank = input price)
+ */
+function setModelPriceChange(modelId, index, from, priceIn, priceOut, priceCacheRead = '', priceCacheWrite = '') {
+    const settings = getSettings();
+    // The price before the first change is whatever applied until now
+    if (!settings.modelPrices[modelId]) settings.modelPrices[modelId] = { ...(findCatalogPrice(modelId) || { in: 0, out: 0, cacheRead: null, cacheWrite: null }) };
+    const history = settings.modelPrices[modelId].history || [];
+    // An edited change keeps its rules; a new one starts with the rules in force on its day
+    const previous = index >= 0 && index < history.length ? history[index] : resolveDatedPrice(settings.modelPrices[modelId], from || getDayKey());
+
+    const change = {
+        ...Object.fromEntries(PRICE_RULE_KEYS.filter(key => previous[key]).map(key => [key, previous[key]])),
+        from: from || getDayKey(),
+        in: parseFloat(String(priceIn)) || 0,
+        out: parseFloat(String(priceOut)) || 0,
+        cacheRead: parseOptionalPrice(priceCacheRead),
+        cacheWrite: parseOptionalPrice(priceCacheWrite),
+    };
+    if (index >= 0 && index < history.length) {
+        history[index] = change;
+    } else {
+        history.push(change);
+    }
+    history.sort((a, b) => a.from.localeCompare(b.from));
+    settings.modelPrices[modelId].history = history;
+    saveSettings();
+}
+
+/**
+ * Remove a dated price change from a model's price history
+ * @param {string} modelId
+ * @param {number} index - Index in the model's price history
+ */
+function removeModelPriceChange(modelId, index) {
+    const settings = getSettings();
+    settings.modelPrices[modelId]?.history?.splice(index, 1);
+    saveSettings();
+}
+
+/**
+ * Read prices from a price sheet
+ * Accepts OpenRouter's /models response (USD per token), this extension's export ({ modelPrices }) or a plain { modelId: { in, out, cacheRead?, cacheWrite? } } map.
+ * @param {Object} data - Parsed JSON
+ * @returns {Object<string, {in: number, out: number, cacheRead: number|null, cacheWrite: number|null, currency: string}>} Price per 1M tokens by model ID
+ */
+function parsePriceSheet(data) {
+    const prices = {};
+
+    if (Array.isArray(data?.data)) {
+        const perMillion = (value) => {
+            const parsed = parseFloat(String(value));
+            // OpenRouter uses -1 for routers whose price depends on the model picked
+            return isNaN(parsed) || parsed < 0 ? null : Math.round(parsed * 1e6 * 1e6) / 1e6;
+        };
+        for (const model of data.data) {
+            if (!model?.id || !model.pricing) continue;
+            const priceIn = perMillion(model.pricing.prompt);
+            const priceOut = perMillion(model.pricing.completion);
+            if (priceIn === null || priceOut === null) continue;
+            prices[model.id] = {
+                in: priceIn,
+                out: priceOut,
+                cacheRead: perMillion(model.pricing.input_cache_read),
+                cacheWrite: perMillion(model.pricing.input_cache_write),
+                currency: 'USD',
+            };
+        }
+        return prices;
+    }
+
+    const sheet = data?.modelPrices || data;
+    if (!sheet || typeof sheet !== 'object' || Array.isArray(sheet)) {
+        throw new Error('Unrecognized price sheet format');
+    }
+    for (const [modelId, price] of Object.entries(sheet)) {
+        if (typeof price?.in !== 'number' || typeof price?.out !== 'number') continue;
+        prices[modelId] = {
+            in: price.in,
+            out: price.out,
+            cacheRead: parseOptionalPrice(price.cacheRead),
+            cacheWrite: parseOptionalPrice(price.cacheWrite),
+            currency: CURRENCIES[price.currency] ? price.currency : 'USD',
+        };
+    }
+    return prices;
+}
+
+/**
+ * Work out which model prices a price sheet would change
+ * Only models that are tracked or already priced are considered; a sheet entry matches by exact ID, or else by normalized ID.
+ * Sheet prices are converted to the currency the model is priced in, at today's rate.
+ * @param {Object<string, Object>} sheetPrices - From parsePriceSheet()
+ * @returns {Array<{modelId: string, current: Object, next: Object}>} Changes against today's prices
+ */
+function getPriceSheetChanges(sheetPrices) {
+    const settings = getSettings();
+    const modelIds = new Set([...Object.keys(getUsage().byModel), ...Object.keys(settings.modelPrices)]);
+    const byNormalizedId = {};
+    for (const [sheetId, price] of Object.entries(sheetPrices)) {
+        // Variants like ':free' are only matched by exact ID
+        if (!sheetId.includes(':')) byNormalizedId[normalizeCatalogModelId(sheetId)] ??= price;
+    }
+
+    const changes = [];
+    for (const modelId of [...modelIds].sort()) {
+        const sheetPrice = sheetPrices[modelId] || byNormalizedId[normalizeCatalogModelId(modelId)];
+        if (!sheetPrice) continue;
+        const current = getModelPrice(modelId);
+        const currency = current.currency || 'USD';
+        const convert = (value) => value == null ? null : Math.round(convertCurrency(value, sheetPrice.currency, currency) * 1e6) / 1e6;
+        const next = {
+            in: convert(sheetPrice.in),
+            out: convert(sheetPrice.out),
+            cacheRead: convert(sheetPrice.cacheRead),
+            cacheWrite: convert(sheetPrice.cacheWrite),
+            currency,
+        };
+        const same = ['in', 'out', 'cacheRead', 'cacheWrite'].every(key => (current[key] ?? null) === (next[key] ?? null));
+        if (!same) changes.push({ modelId, current, next });
+    }
+    return changes;
+}
+
+/**
+ * Apply price sheet changes
+ * Models with a price of their own get a dated change from today, so past usage keeps its old price; others get a base price.
+ * @param {Array<{modelId: string, next: Object}>} changes - From getPriceSheetChanges()
+ */
+function applyPriceSheetChanges(changes) {
+    const settings = getSettings();
+    const today = getDayKey();
+    for (const { modelId, next } of changes) {
+        const price = settings.modelPrices[modelId];
+        if (!price) {
+            setModelPrice(modelId, next.in, next.out, next.cacheRead ?? '', next.cacheWrite ?? '');
+            continue;
+        }
+        const index = (price.history || []).findIndex(change => change.from === today);
+        setModelPriceChange(modelId, index, today, next.in, next.out, next.cacheRead ?? '', next.cacheWrite ?? '');
+    }
+}
+
+/**
+ * Format a price for display
+ * @param {Object} price - Price per 1M tokens
+ * @returns {string}
+ */
+function formatModelPrice(price) {
+    const format = new Intl.NumberFormat('en-US', { style: 'currency', currency: price.currency || 'USD', minimumFractionDigits: 0, maximumFractionDigits: 6 });
+    let text = `${format.format(price.in)} / ${format.format(price.out)}`;
+    if (price.cacheRead != null || price.cacheWrite != null) {
+        text += ` <span style="opacity: 0.6;">(cache ${format.format(price.cacheRead ?? price.in)} / ${format.format(price.cacheWrite ?? price.in)})</span>`;
+    }
+    return text;
+}
+
+/**
+ * Import model prices from a local JSON price sheet, after previewing what would change
+ */
+function importPriceSheet() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+
+    input.onchange = async (e) => {
+        const file = /** @type {HTMLInputElement} */ (e.target).files?.[0];
+        if (!file) return;
+
+        try {
+            const sheetPrices = parsePriceSheet(JSON.parse(await file.text()));
+            const changes = getPriceSheetChanges(sheetPrices);
+            if (changes.length === 0) {
+                // @ts-ignore
+                toastr.info(`No price changes for your models (${Object.keys(sheetPrices).length} prices in sheet)`);
+                return;
+            }
+
+            const rows = changes.map(({ modelId, current, next }) => `
+                <tr>
+                    <td style="text-align: left; padding: 4px 8px;" title="${escapeHtml(modelId)}">${escapeHtml(modelId)}</td>
+                    <td style="text-align: right; padding: 4px 8px; opacity: 0.7;">${formatModelPrice(current)}</td>
+                    <td style="text-align: right; padding: 4px 8px;">${formatModelPrice(next)}</td>
+                </tr>
+            `).join('');
+            const confirmPopup = new Popup(`
+                <h3>Apply ${changes.length} price change${changes.length === 1 ? '' : 's'}?</h3>
+                <p style="font-size: 12px; opacity: 0.7;">Prices per 1M tokens (input / output). Models you've already priced get a price change from today, so past usage keeps its old price.</p>
+                <div style="max-height: 300px; overflow-y: auto;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                        <tr style="opacity: 0.7;"><th style="text-align: left; padding: 4px 8px;">Model</th><th style="text-align: right; padding: 4px 8px;">Current</th><th style="text-align: right; padding: 4px 8px;">New</th></tr>
+                        ${rows}
+                    </table>
+                </div>
+            `, POPUP_TYPE.CONFIRM, '', { okButton: 'Apply', cancelButton: 'Cancel', allowVerticalScrolling: true });
+            if (!await confirmPopup.show()) return;
+
+            applyPriceSheetChanges(changes);
+            $('#tut-model-pricing').html(renderModelPricingList());
+            eventSource.emit('tokenUsageUpdated', getUsageStats());
+            // @ts-ignore
+            toastr.success(`Updated prices for ${changes.length} model${changes.length === 1 ? '' : 's'}`);
+            console.log('[Token Usage Tracker] Price sheet imported from:', file.name);
+        } catch (error) {
+            console.error('[Token Usage Tracker] Price sheet import error:', error);
+            // @ts-ignore
+            toastr.error('Failed to import price sheet: ' + error.message);
+        }
+    };
+
+    input.click();
+}
+
+/**
+ * Calculate the cost of one request
+ * Applies the model's context-length tier and per-request fee, but not its free allowance (see getRequestCosts).
+ * @param {number} inputTokens - All input tokens, including cached ones
+ * @param {number} outputTokens
+ * @param {string} modelId
+ * @param {number} [cacheReadTokens] - Part of the input read from the prompt cache
+ * @param {number} [cacheWriteTokens] - Part of the input written to the prompt cache
+ * @param {string} [dayKey] - Day the tokens were used on, for the price and exchange rate in force then (today by default)
+ * @param {string} [currency] - Currency to return the cost in (the display currency by default)
+ * @returns {number} Cost in that currency
+ */
+function calculateCost(inputTokens, outputTokens, modelId, cacheReadTokens = 0, cacheWriteTokens = 0, dayKey = getDayKey(), currency = getSettings().currency) {
+    const prices = getModelPrice(modelId, dayKey);
+    const rates = getTierRates(prices, inputTokens);
+    const cost = calculateTokenCost(rates, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens) + (prices.requestFee || 0);
+    return convertCurrency(cost, prices.currency, currency, dayKey);
+}
+
+/**
+ * Pick the rates that apply to a prompt of a given size
+ * @param {Object} prices - From getModelPrice()
+ * @param {number} inputTokens - All input tokens of the request
+ * @returns {{in: number, out: number, cacheRead?: number|null, cacheWrite?: number|null}} The highest tier the prompt is above, or the base rates
+ */
+function getTierRates(prices, inputTokens) {
+    let rates = prices;
+    for (const tier of prices.tiers || []) {
+        if (inputTokens > tier.above && tier.above >= (rates.above || 0)) rates = tier;
+    }
+    return rates;
+}
+
+/**
+ * Calculate the cost of tokens at flat rates
+ * @param {Object} rates - Per 1M tokens: { in, out, cacheRead, cacheWrite }
+ * @param {number} inputTokens - All input tokens, including cached ones
  * @param {number} outputTokens
+ * @param {number} cacheReadTokens
+ * @param {number} cacheWriteTokens
+ * @returns {number} Cost in the rates' currency
+ */
+function calculateTokenCost(rates, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens) {
+    if (!rates.in && !rates.out && !rates.cacheRead && !rates.cacheWrite) return 0;
+
+    const cacheReadPrice = rates.cacheRead ?? rates.in;
+    const cacheWritePrice = rates.cacheWrite ?? rates.in;
+    const uncachedInput = Math.max(0, inputTokens - cacheReadTokens - cacheWriteTokens);
+
+    const inputCost = (uncachedInput / 1000000) * rates.in;
+    const cacheCost = (cacheReadTokens / 1000000) * cacheReadPrice + (cacheWriteTokens / 1000000) * cacheWritePrice;
+    const outputCost = (outputTokens / 1000000) * rates.out;
+    return inputCost + cacheCost + outputCost;
+}
+
+// Per-request costs of the ledger, cleared by saveSettings() and saveUsage()
+let requestCostCache = null;
+
+/**
+ * Work out the cost of every ledger request, in recording order
+ * Each request gets its own tier and fee; the first requests of a day or month are free when the model has a free allowance.
+ * @returns {{byEntry: Map<string, number>, byDay: Object<string, Object<string, {cost: number, input: number, output: number, cacheRead: number, cacheWrite: number}>>, freeRequestsUsed: Object<string, number>}}
+ *     Cost in USD per ledger entry ID, and per day and model along with the tokens it covers
+ */
+function getRequestCosts() {
+    if (requestCostCache) return requestCostCache;
+
+    const costs = { byEntry: new Map(), byDay: {}, freeRequestsUsed: {} };
+    for (const entry of getUsage().ledger) {
+        addRequestCost(costs, entry);
+    }
+
+    requestCostCache = costs;
+    return requestCostCache;
+}
+
+/**
+ * Cost one request after the requests already costed
+ * @param {Object} costs - From getRequestCosts()
+ * @param {Object} entry - Ledger entry recorded after every entry in costs
+ * @returns {number} Cost in USD
+ */
+function addRequestCost(costs, entry) {
+    const date = new Date(entry.timestamp);
+    const dayKey = getDayKey(date);
+    const prices = getModelPrice(entry.model, dayKey);
+
+    let cost = calculateCost(entry.input, entry.output, entry.model, entry.cacheRead || 0, entry.cacheWrite || 0, dayKey, 'USD');
+    if (prices.freeRequests?.count > 0) {
+        const windowKey = `${resolveModelAlias(entry.model)}|${prices.freeRequests.window === 'month' ? getMonthKey(date) : dayKey}`;
+        costs.freeRequestsUsed[windowKey] = (costs.freeRequestsUsed[windowKey] || 0) + 1;
+        if (costs.freeRequestsUsed[windowKey] <= prices.freeRequests.count) cost = 0;
+    }
+    costs.byEntry.set(entry.id, cost);
+
+    if (!costs.byDay[dayKey]) costs.byDay[dayKey] = {};
+    const modelCost = costs.byDay[dayKey][entry.model] ??= { cost: 0, input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+    modelCost.cost += cost;
+    modelCost.input += entry.input;
+    modelCost.output += entry.output;
+    modelCost.cacheRead += entry.cacheRead || 0;
+    modelCost.cacheWrite += entry.cacheWrite || 0;
+    return cost;
+}
+
+/**
+ * Calculate cost of an aggregate bucket for one model at its base rates
+ * Per-request rules can't be applied to sums, so this is only used for usage that has no ledger entries.
+ * @param {Object|number} data - Bucket with input/output/cacheRead/cacheWrite (legacy numeric totals cost nothing)
+ * @param {string} modelId
+ * @param {string} [dayKey] - Day the bucket covers, for the price in force then (today by default)
+ * @returns {number} Cost in the display currency
+ */
+function calculateBucketCost(data, modelId, dayKey = getDayKey()) {
+    if (!data || typeof data === 'number') return 0;
+    const prices = getModelPrice(modelId, dayKey);
+    const cost = calculateTokenCost(prices, data.input || 0, data.output || 0, data.cacheRead || 0, data.cacheWrite || 0);
+    return convertCurrency(cost, prices.currency, getSettings().currency, dayKey);
+}
+
+/**
+ * Calculate the cost of one model's usage on one day
+ * Requests in the ledger are costed one by one; whatever the bucket holds beyond them (usage from before the ledger) at base rates.
+ * @param {Object} modelData - The model's bucket in byDay[dayKey].models
  * @param {string} modelId
- * @returns {number} Cost in dollars
+ * @param {string} dayKey
+ * @returns {number} Cost in the display currency
+ */
+function calculateDayModelCost(modelData, modelId, dayKey) {
+    if (!modelData || typeof modelData === 'number') return 0;
+    const requests = getRequestCosts().byDay[dayKey]?.[modelId];
+    if (!requests) return calculateBucketCost(modelData, modelId, dayKey);
+
+    const remainder = {};
+    for (const key of ['input', 'output', 'cacheRead', 'cacheWrite']) {
+        remainder[key] = Math.max(0, (modelData[key] || 0) - requests[key]);
+    }
+    return convertCurrency(requests.cost, 'USD', getSettings().currency, dayKey) + calculateBucketCost(remainder, modelId, dayKey);
+}
+
+/**
+ * Calculate the cost of one day using its per-model breakdown
+ * @param {Object} dayData - byDay bucket
+ * @param {string} [dayKey] - The day's key, for the prices in force then (today by default)
+ * @returns {number} Cost in the display currency
+ */
+function calculateDayCost(dayData, dayKey = getDayKey()) {
+    let dayCost = 0;
+    for (const [modelId, modelData] of Object.entries(dayData?.models || {})) {
+        dayCost += calculateDayModelCost(modelData, modelId, dayKey);
+    }
+    return dayCost;
+}
+
+/**
+ * Calculate the cost of a ledger entry at the price in force on the day it was recorded
+ * Unlike entry.cost, this follows price changes added later for that day.
+ * @param {Object} entry - Ledger entry
+ * @returns {number} Cost in the display currency
+ */
+function calculateEntryCost(entry) {
+    const dayKey = getDayKey(new Date(entry.timestamp));
+    const cost = getRequestCosts().byEntry.get(entry.id)
+        ?? calculateCost(entry.input, entry.output, entry.model, entry.cacheRead || 0, entry.cacheWrite || 0, dayKey, 'USD');
+    return convertCurrency(cost, 'USD', getSettings().currency, dayKey);
+}
+
+/**
+ * Sum ledger entry costs by a key
+ * @param {Function} keyOf - Returns the key of an entry, or a falsy value to skip it
+ * @returns {Object<string, number>} Cost in the display currency per key
+ */
+function getLedgerCosts(keyOf) {
+    const costs = {};
+    for (const entry of getUsage().ledger) {
+        const key = keyOf(entry);
+        if (key) costs[key] = (costs[key] || 0) + calculateEntryCost(entry);
+    }
+    return costs;
+}
+
+/**
+ * Calculate cost and cache savings per model, each day at the prices in force on that day
+ * @returns {Object<string, {cost: number, cacheSavings: number}>}
  */
-function calculateCost(inputTokens, outputTokens, modelId) {
-    const prices = getModelPrice(modelId);
-    if (!prices.in && !prices.out) return 0;
+function getModelCosts() {
+    const costs = {};
+    for (const [dayKey, dayData] of Object.entries(getUsage().byDay)) {
+        for (const [modelId, modelData] of Object.entries(dayData.models || {})) {
+            if (!costs[modelId]) costs[modelId] = { cost: 0, cacheSavings: 0 };
+            costs[modelId].cost += calculateDayModelCost(modelData, modelId, dayKey);
+            costs[modelId].cacheSavings += calculateCacheSavings(modelData, modelId, dayKey);
+        }
+    }
+    return costs;
+}
 
-    const inputCost = (inputTokens / 1000000) * prices.in;
-    const outputCost = (outputTokens / 1000000) * prices.out;
-    return inputCost + outputCost;
+/**
+ * Calculate how much prompt caching saved compared to paying the full input price
+ * Cache writes usually cost more than regular input, so they count against the savings.
+ * @param {Object} data - Bucket with cacheRead/cacheWrite
+ * @param {string} modelId
+ * @param {string} [dayKey] - Day the bucket covers, for the price in force then (today by default)
+ * @returns {number} Savings in the display currency (negative if cache writes cost more than reads saved)
+ */
+function calculateCacheSavings(data, modelId, dayKey = getDayKey()) {
+    if (!data || typeof data === 'number') return 0;
+    const prices = getModelPrice(modelId, dayKey);
+    const cacheReadPrice = prices.cacheRead ?? prices.in;
+    const cacheWritePrice = prices.cacheWrite ?? prices.in;
+    const readSavings = ((data.cacheRead || 0) / 1000000) * (prices.in - cacheReadPrice);
+    const writeOverhead = ((data.cacheWrite || 0) / 1000000) * (cacheWritePrice - prices.in);
+    return convertCurrency(readSavings - writeOverhead, prices.currency, getSettings().currency, dayKey);
 }
 
 /**
- * Calculate all-time cost using the byModel aggregation which has precise input/output counts
+ * Calculate all-time cost from the daily per-model breakdown, so each day is costed at the prices in force then
  */
 function calculateAllTimeCost() {
-    const settings = getSettings();
-    const byModel = settings.usage.byModel;
     let totalCost = 0;
-
-    for (const [modelId, data] of Object.entries(byModel)) {
-        totalCost += calculateCost(data.input, data.output, modelId);
+    for (const { cost } of Object.values(getModelCosts())) {
+        totalCost += cost;
     }
     return totalCost;
 }
 
+/**
+ * Calculate the cost of today, this week and this month, each day at the prices and exchange rates in force then
+ * @returns {{today: number, week: number, month: number}} Costs in the display currency
+ */
+function calculatePeriodCosts() {
+    const now = new Date();
+    const currentMonthKey = getMonthKey(now);
+    const currentWeekKey = getWeekKey(now);
+    const todayKey = getDayKey(now);
+
+    const costs = { today: 0, week: 0, month: 0 };
+    for (const [dayKey, data] of Object.entries(getUsage().byDay)) {
+        // Parse dayKey (YYYY-MM-DD) as local date, not UTC
+        const [year, month, day] = dayKey.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+
+        const cost = calculateDayCost(data, dayKey);
+        if (getMonthKey(date) === currentMonthKey) costs.month += cost;
+        if (getWeekKey(date) === currentWeekKey) costs.week += cost;
+        if (dayKey === todayKey) costs.today += cost;
+    }
+    return costs;
+}
+
+/**
+ * Calculate all-time prompt cache savings across all models
+ */
+function calculateAllTimeCacheSavings() {
+    let totalSavings = 0;
+    for (const { cacheSavings } of Object.values(getModelCosts())) {
+        totalSavings += cacheSavings;
+    }
+    return totalSavings;
+}
+
 /**
  * Get hourly chart data for the last N hours
  * @param {number} hours - Number of hours to retrieve
@@ -1023,45 +3405,31 @@ function getMonthlyChartData(months = 12) {
  */
 function getWeeklyChartData(weeks = 12) {
     const stats = getUsageStats();
-    const byDay = stats.byDay || {};
+    const byWeek = stats.byWeek || {};
     const data = [];
-    const now = new Date();
+    const currentWeekStart = getWeekStartDate();
 
     for (let i = weeks - 1; i >= 0; i--) {
         // Get start of week (i weeks ago)
-        const weekStart = new Date(now);
-        weekStart.setDate(weekStart.getDate() - (weekStart.getDay() + i * 7));
-        weekStart.setHours(0, 0, 0, 0);
-
-        let weekTotal = 0, weekInput = 0, weekOutput = 0, weekMessages = 0;
-
-        // Sum all days in this week
-        for (let d = 0; d < 7; d++) {
-            const dayDate = new Date(weekStart);
-            dayDate.setDate(dayDate.getDate() + d);
-            const dayKey = getDayKey(dayDate);
-            const dayData = byDay[dayKey];
-            if (dayData) {
-                weekTotal += dayData.total || 0;
-                weekInput += dayData.input || 0;
-                weekOutput += dayData.output || 0;
-                weekMessages += dayData.messageCount || 0;
-            }
-        }
-
+        const weekStart = new Date(currentWeekStart);
+        weekStart.setDate(weekStart.getDate() - i * 7);
         const weekEnd = new Date(weekStart);
         weekEnd.setDate(weekEnd.getDate() + 6);
 
+        // Same buckets as the "This Week" totals
+        const weekKey = getWeekKey(weekStart);
+        const weekData = byWeek[weekKey] || {};
+
         data.push({
             date: weekStart,
             weekStart: weekStart,
             weekEnd: weekEnd,
-            usage: weekTotal,
-            input: weekInput,
-            output: weekOutput,
-            messageCount: weekMessages,
+            usage: weekData.total || 0,
+            input: weekData.input || 0,
+            output: weekData.output || 0,
+            messageCount: weekData.messageCount || 0,
             displayWeek: `${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
-            fullWeek: `${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${weekEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+            fullWeek: `${weekKey}: ${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${weekEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
         });
     }
     return data;
@@ -1114,15 +3482,8 @@ function getCostChartData(days = 30) {
         const dayKey = getDayKey(date);
         const dayData = byDay[dayKey] || { total: 0, input: 0, output: 0, models: {} };
 
-        // Calculate cost for this day using model-specific prices
-        let dayCost = 0;
-        if (dayData.models) {
-            for (const [modelId, mData] of Object.entries(dayData.models)) {
-                const mInput = typeof mData === 'number' ? 0 : (mData.input || 0);
-                const mOutput = typeof mData === 'number' ? 0 : (mData.output || 0);
-                dayCost += calculateCost(mInput, mOutput, modelId);
-            }
-        }
+        // Calculate cost for this day using model-specific prices in force on that day
+        const dayCost = calculateDayCost(dayData, dayKey);
 
         data.push({
             date: date,
@@ -1138,23 +3499,97 @@ function getCostChartData(days = 30) {
     return data;
 }
 
+/** Display labels and colors for generation types, in stacking order (bottom first) */
+const GENERATION_TYPES = {
+    normal: { label: 'Normal', color: '#6366f1' },
+    swipe: { label: 'Swipe', color: '#f59e0b' },
+    regenerate: { label: 'Regenerate', color: '#ef4444' },
+    continue: { label: 'Continue', color: '#10b981' },
+    impersonate: { label: 'Impersonate', color: '#ec4899' },
+    quiet: { label: 'Quiet', color: '#8b5cf6' },
+    background: { label: 'Background', color: '#06b6d4' },
+};
+
 /**
- * Get model breakdown data
+ * Get per-day token totals split by generation type
+ * Types outside GENERATION_TYPES (e.g. extension-specific ones) are grouped as 'other'.
+ * @param {number} days - Number of days to retrieve
  */
-function getModelBreakdownData() {
+function getGenerationTypeChartData(days = 30) {
     const stats = getUsageStats();
-    const byModel = stats.byModel || {};
+    const byDay = stats.byDay || {};
     const data = [];
+    const now = new Date();
 
-    for (const [modelId, modelData] of Object.entries(byModel)) {
-        const cost = calculateCost(modelData.input, modelData.output, modelId);
-        data.push({
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(now);
+        date.setDate(date.getDate() - i);
+        const dayData = byDay[getDayKey(date)] || { total: 0, types: {} };
+
+        const segments = {};
+        for (const [type, typeData] of Object.entries(dayData.types || {})) {
+            const key = GENERATION_TYPES[type] ? type : 'other';
+            segments[key] = (segments[key] || 0) + (typeData.total || 0);
+        }
+
+        data.push({
+            date: date,
+            segments: segments,
+            usage: dayData.total || 0,
+            displayDate: date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
+            fullDate: date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+        });
+    }
+    return data;
+}
+
+/**
+ * Get per-day input tokens split by prompt part
+ * @param {number} days - Number of days to retrieve
+ */
+function getCompositionChartData(days = 30) {
+    const stats = getUsageStats();
+    const byDay = stats.byDay || {};
+    const data = [];
+    const now = new Date();
+
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(now);
+        date.setDate(date.getDate() - i);
+        const dayData = byDay[getDayKey(date)] || { input: 0, composition: {} };
+
+        data.push({
+            date: date,
+            segments: { ...dayData.composition },
+            usage: dayData.input || 0,
+            displayDate: date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
+            fullDate: date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+        });
+    }
+    return data;
+}
+
+/**
+ * Get model breakdown data
+ */
+function getModelBreakdownData() {
+    const stats = getUsageStats();
+    const byModel = mergeModelBuckets(stats.byModel);
+    const modelCosts = mergeModelBuckets(getModelCosts());
+    const data = [];
+
+    for (const [modelId, modelData] of Object.entries(byModel)) {
+        const cost = modelCosts[modelId]?.cost || 0;
+        data.push({
             modelId,
             input: modelData.input || 0,
             output: modelData.output || 0,
             total: modelData.total || 0,
+            cacheRead: modelData.cacheRead || 0,
+            cacheWrite: modelData.cacheWrite || 0,
             messageCount: modelData.messageCount || 0,
             cost,
+            cacheSavings: modelCosts[modelId]?.cacheSavings || 0,
             color: getModelColor(modelId)
         });
     }
@@ -1172,30 +3607,10 @@ async function showDetailedStatsPopup() {
     const settings = getSettings();
     const modelData = getModelBreakdownData();
     const allTimeCost = calculateAllTimeCost();
+    const cacheSavings = calculateAllTimeCacheSavings();
 
     // Calculate costs for different periods
-    const now = new Date();
-    const currentMonthKey = getMonthKey(now);
-    const currentWeekKey = getWeekKey(now);
-    const todayKey = getDayKey(now);
-
-    let monthCost = 0, weekCost = 0, todayCost = 0;
-    for (const [dayKey, data] of Object.entries(settings.usage.byDay)) {
-        const [year, month, day] = dayKey.split('-').map(Number);
-        const date = new Date(year, month - 1, day);
-
-        if (data.models) {
-            for (const [mid, mData] of Object.entries(data.models)) {
-                const mInput = typeof mData === 'number' ? 0 : (mData.input || 0);
-                const mOutput = typeof mData === 'number' ? 0 : (mData.output || 0);
-                const cost = calculateCost(mInput, mOutput, mid);
-
-                if (getMonthKey(date) === currentMonthKey) monthCost += cost;
-                if (getWeekKey(date) === currentWeekKey) weekCost += cost;
-                if (dayKey === todayKey) todayCost += cost;
-            }
-        }
-    }
+    const { today: todayCost, week: weekCost, month: monthCost } = calculatePeriodCosts();
 
     // Build model breakdown table
     let modelTableRows = '';
@@ -1205,13 +3620,35 @@ async function showDetailedStatsPopup() {
             <tr>
                 <td style="display: flex; align-items: center; gap: 8px;">
                     <span style="display: inline-block; width: 12px; height: 12px; background: ${model.color}; border-radius: 3px;"></span>
-                    <span title="${model.modelId}">${shortName}</span>
+                    <span title="${escapeHtml(model.modelId)}">${escapeHtml(shortName)}</span>
                 </td>
                 <td style="text-align: right;">${formatNumberFull(model.input)}</td>
                 <td style="text-align: right;">${formatNumberFull(model.output)}</td>
+                <td style="text-align: right;" title="Saved ${formatCost(model.cacheSavings, true)} with prompt caching">${formatNumberFull(model.cacheRead)}</td>
                 <td style="text-align: right; font-weight: 600;">${formatNumberFull(model.total)}</td>
                 <td style="text-align: right;">${model.messageCount}</td>
-                <td style="text-align: right; color: ${model.cost > 0 ? 'var(--SmartThemeQuoteColor)' : 'inherit'};">$${model.cost.toFixed(4)}</td>
+                <td style="text-align: right; color: ${model.cost > 0 ? 'var(--SmartThemeQuoteColor)' : 'inherit'};">${formatCost(model.cost, true)}</td>
+            </tr>
+        `;
+    }
+
+    // Build recent requests table from the ledger (newest first)
+    let ledgerTableRows = '';
+    for (const entry of getUsage().ledger.slice(-50).reverse()) {
+        const modelName = entry.model || 'unknown';
+        const shortName = modelName.length > 24 ? modelName.substring(0, 21) + '...' : modelName;
+        const time = new Date(entry.timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        // Estimated counts are marked with "~"; provider-reported counts are exact
+        const countPrefix = entry.countSource === 'reported' ? '' : '~';
+        const countTitle = entry.countSource === 'reported' ? 'Reported by provider' : 'Estimated with local tokenizer';
+        ledgerTableRows += `
+            <tr>
+                <td style="white-space: nowrap;">${time}</td>
+                <td><span title="${escapeHtml(modelName)}">${escapeHtml(shortName)}</span></td>
+                <td>${escapeHtml(entry.type)}${entry.outcome && entry.outcome !== 'completed' ? ` <span style="opacity: 0.6;">(${escapeHtml(entry.outcome)})</span>` : ''}</td>
+                <td style="text-align: right;" title="${countTitle}">${countPrefix}${formatNumberFull(entry.input)}</td>
+                <td style="text-align: right;" title="${countTitle}">${countPrefix}${formatNumberFull(entry.output)}</td>
+                <td style="text-align: right;">${formatCost(convertCurrency(entry.cost || 0, 'USD', settings.currency, getDayKey(new Date(entry.timestamp))), true)}</td>
             </tr>
         `;
     }
@@ -1226,22 +3663,22 @@ async function showDetailedStatsPopup() {
                 <div style="background: var(--SmartThemeBlurTintColor); padding: 12px; border-radius: 8px; border: 1px solid var(--SmartThemeBorderColor);">
                     <div style="font-size: 11px; opacity: 0.6; margin-bottom: 4px;">Today</div>
                     <div style="font-size: 20px; font-weight: 600;">${formatTokens(stats.today.total)}</div>
-                    <div style="font-size: 11px; opacity: 0.7;">$${todayCost.toFixed(2)}</div>
+                    <div style="font-size: 11px; opacity: 0.7;">${formatCost(todayCost)}</div>
                 </div>
                 <div style="background: var(--SmartThemeBlurTintColor); padding: 12px; border-radius: 8px; border: 1px solid var(--SmartThemeBorderColor);">
                     <div style="font-size: 11px; opacity: 0.6; margin-bottom: 4px;">This Week</div>
                     <div style="font-size: 20px; font-weight: 600;">${formatTokens(stats.thisWeek.total)}</div>
-                    <div style="font-size: 11px; opacity: 0.7;">$${weekCost.toFixed(2)}</div>
+                    <div style="font-size: 11px; opacity: 0.7;">${formatCost(weekCost)}</div>
                 </div>
                 <div style="background: var(--SmartThemeBlurTintColor); padding: 12px; border-radius: 8px; border: 1px solid var(--SmartThemeBorderColor);">
                     <div style="font-size: 11px; opacity: 0.6; margin-bottom: 4px;">This Month</div>
                     <div style="font-size: 20px; font-weight: 600;">${formatTokens(stats.thisMonth.total)}</div>
-                    <div style="font-size: 11px; opacity: 0.7;">$${monthCost.toFixed(2)}</div>
+                    <div style="font-size: 11px; opacity: 0.7;">${formatCost(monthCost)}</div>
                 </div>
                 <div style="background: var(--SmartThemeBlurTintColor); padding: 12px; border-radius: 8px; border: 1px solid var(--SmartThemeBorderColor);">
                     <div style="font-size: 11px; opacity: 0.6; margin-bottom: 4px;">All Time</div>
                     <div style="font-size: 20px; font-weight: 600;">${formatTokens(stats.allTime.total)}</div>
-                    <div style="font-size: 11px; opacity: 0.7;">$${allTimeCost.toFixed(2)}</div>
+                    <div style="font-size: 11px; opacity: 0.7;">${formatCost(allTimeCost)}</div>
                 </div>
             </div>
 
@@ -1256,9 +3693,10 @@ async function showDetailedStatsPopup() {
                     <button class="menu_button popup-chart-tab" data-view="monthly" style="padding: 6px 12px; font-size: 12px;">
                         <i class="fa-solid fa-calendar"></i> Monthly
                     </button>
+                    ${settings.enableHourlyTracking ? `
                     <button class="menu_button popup-chart-tab" data-view="hourly" style="padding: 6px 12px; font-size: 12px;">
                         <i class="fa-solid fa-clock"></i> Hourly
-                    </button>
+                    </button>` : ''}
                     <button class="menu_button popup-chart-tab" data-view="inout" style="padding: 6px 12px; font-size: 12px;">
                         <i class="fa-solid fa-arrows-left-right"></i> Input vs Output
                     </button>
@@ -1268,6 +3706,18 @@ async function showDetailedStatsPopup() {
                     <button class="menu_button popup-chart-tab" data-view="models" style="padding: 6px 12px; font-size: 12px;">
                         <i class="fa-solid fa-robot"></i> By Model
                     </button>
+                    <button class="menu_button popup-chart-tab" data-view="types" style="padding: 6px 12px; font-size: 12px;">
+                        <i class="fa-solid fa-layer-group"></i> By Type
+                    </button>
+                    <button class="menu_button popup-chart-tab" data-view="composition" style="padding: 6px 12px; font-size: 12px;">
+                        <i class="fa-solid fa-cubes-stacked"></i> Prompt Composition
+                    </button>
+                    <button class="menu_button popup-chart-tab" data-view="characters" style="padding: 6px 12px; font-size: 12px;">
+                        <i class="fa-solid fa-user"></i> By Character
+                    </button>
+                    <button class="menu_button popup-chart-tab" data-view="sources" style="padding: 6px 12px; font-size: 12px;">
+                        <i class="fa-solid fa-puzzle-piece"></i> By Source
+                    </button>
                     <button class="menu_button popup-chart-tab" data-view="cost" style="padding: 6px 12px; font-size: 12px;">
                         <i class="fa-solid fa-dollar-sign"></i> Cost Trend
                     </button>
@@ -1286,13 +3736,38 @@ async function showDetailedStatsPopup() {
                                 <th style="padding: 8px; text-align: left;">Model</th>
                                 <th style="padding: 8px; text-align: right;">Input</th>
                                 <th style="padding: 8px; text-align: right;">Output</th>
+                                <th style="padding: 8px; text-align: right;">Cached</th>
                                 <th style="padding: 8px; text-align: right;">Total</th>
                                 <th style="padding: 8px; text-align: right;">Messages</th>
                                 <th style="padding: 8px; text-align: right;">Cost</th>
                             </tr>
                         </thead>
                         <tbody>
-                            ${modelTableRows || '<tr><td colspan="6" style="padding: 16px; text-align: center; opacity: 0.5;">No model data yet</td></tr>'}
+                            ${modelTableRows || '<tr><td colspan="7" style="padding: 16px; text-align: center; opacity: 0.5;">No model data yet</td></tr>'}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div style="margin-top: 20px;">
+                <h4 style="margin: 0 0 12px 0; font-size: 14px;">
+                    <i class="fa-solid fa-receipt"></i> Recent Requests
+                    <span style="font-size: 11px; font-weight: normal; opacity: 0.5;">(${formatNumberFull(getUsage().ledger.length)} in ledger)</span>
+                </h4>
+                <div style="max-height: 200px; overflow-y: auto; border: 1px solid var(--SmartThemeBorderColor); border-radius: 8px;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                        <thead style="position: sticky; top: 0; background: var(--SmartThemeBlurTintColor);">
+                            <tr style="border-bottom: 1px solid var(--SmartThemeBorderColor);">
+                                <th style="padding: 8px; text-align: left;">Time</th>
+                                <th style="padding: 8px; text-align: left;">Model</th>
+                                <th style="padding: 8px; text-align: left;">Type</th>
+                                <th style="padding: 8px; text-align: right;">Input</th>
+                                <th style="padding: 8px; text-align: right;">Output</th>
+                                <th style="padding: 8px; text-align: right;">Cost</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${ledgerTableRows || '<tr><td colspan="6" style="padding: 16px; text-align: center; opacity: 0.5;">No requests recorded yet</td></tr>'}
                         </tbody>
                     </table>
                 </div>
@@ -1305,6 +3780,11 @@ async function showDetailedStatsPopup() {
                         <div style="font-size: 14px; font-weight: 600;">${formatNumberFull(stats.allTime.messageCount)} messages</div>
                         <div style="font-size: 10px; opacity: 0.5;">Average: ${stats.allTime.messageCount > 0 ? formatNumberFull(Math.round(stats.allTime.total / stats.allTime.messageCount)) : 0} tokens/message</div>
                     </div>
+                    <div>
+                        <div style="font-size: 11px; opacity: 0.6;">Cache Savings</div>
+                        <div style="font-size: 14px; font-weight: 600; color: ${cacheSavings > 0 ? 'var(--SmartThemeQuoteColor)' : 'inherit'};">${formatCost(cacheSavings)}</div>
+                        <div style="font-size: 10px; opacity: 0.5;">${formatTokens(stats.allTime.cacheRead || 0)} cache reads / ${formatTokens(stats.allTime.cacheWrite || 0)} writes</div>
+                    </div>
                     <div>
                         <div style="font-size: 11px; opacity: 0.6;">Tokenizer</div>
                         <div style="font-size: 12px;">${stats.tokenizer || 'Unknown'}</div>
@@ -1349,13 +3829,15 @@ function initPopupCharts() {
 
 /**
  * Render chart in popup based on view type
- * @param {string} view - 'daily', 'weekly', 'hourly', 'monthly', 'models', 'inout', 'cumulative', 'cost'
+ * @param {string} view - 'daily', 'weekly', 'hourly', 'monthly', 'models', 'types', 'composition', 'characters', 'sources', 'inout', 'cumulative', 'cost'
  */
 function renderPopupChart(view) {
     const container = document.getElementById('popup-chart-container');
     if (!container) return;
 
     container.innerHTML = '';
+    // Tables scroll, charts are sized to fit
+    container.style.overflowY = ['characters', 'sources'].includes(view) ? 'auto' : 'hidden';
 
     switch (view) {
         case 'daily':
@@ -1373,6 +3855,18 @@ function renderPopupChart(view) {
         case 'models':
             renderModelPieChart(container);
             break;
+        case 'types':
+            renderStackedChart(container, getGenerationTypeChartData(30), { ...GENERATION_TYPES, other: { label: 'Other', color: '#94a3b8' } }, 'No generation type data yet');
+            break;
+        case 'composition':
+            renderStackedChart(container, getCompositionChartData(30), PROMPT_PARTS, 'No prompt composition data yet');
+            break;
+        case 'characters':
+            renderCharacterTable(container);
+            break;
+        case 'sources':
+            renderSourceTable(container);
+            break;
         case 'inout':
             renderInputOutputChart(container, getInputOutputChartData(30));
             break;
@@ -1385,6 +3879,122 @@ function renderPopupChart(view) {
     }
 }
 
+/** Current sort of the By Character / By Source tables */
+let attributionTableSort = { key: 'cost', descending: true };
+
+/**
+ * Turn byCharacter/byGroup/bySource buckets into table rows with their cost
+ * @param {Object} buckets - Buckets keyed by avatar, group ID or source name
+ * @param {Object<string, number>} costs - Cost per bucket key, from getLedgerCosts()
+ * @returns {Array<{key: string, name: string, messageCount: number, input: number, output: number, total: number, cost: number}>}
+ */
+function getAttributionRows(buckets, costs) {
+    const rows = Object.entries(buckets || {}).map(([key, data]) => ({
+        key,
+        name: data.name || key.replace(/\.png$/i, ''),
+        messageCount: data.messageCount || 0,
+        input: data.input || 0,
+        output: data.output || 0,
+        total: data.total || 0,
+        cost: costs[key] || 0,
+    }));
+
+    const { key, descending } = attributionTableSort;
+    rows.sort((a, b) => {
+        const result = key === 'name' ? a.name.localeCompare(b.name) : a[key] - b[key];
+        return descending ? -result : result;
+    });
+    return rows;
+}
+
+/**
+ * Render sortable usage tables with a cost column
+ * @param {HTMLElement} container
+ * @param {Array<{label: string, rows: Array, getChildren?: Function}>} tables - getChildren(row) returns indented sub-rows
+ * @param {string} emptyText - Shown when every table is empty
+ * @param {Function} rerender - Called after the sort changes
+ */
+function renderAttributionTables(container, tables, emptyText, rerender) {
+    if (tables.every(table => table.rows.length === 0)) {
+        container.innerHTML = `<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: var(--SmartThemeBodyColor); opacity: 0.5;">${emptyText}</div>`;
+        return;
+    }
+
+    const columns = [
+        ['name', '', 'left'],
+        ['messageCount', 'Messages', 'right'],
+        ['input', 'Input', 'right'],
+        ['output', 'Output', 'right'],
+        ['total', 'Total', 'right'],
+        ['cost', 'Cost', 'right'],
+    ];
+    const renderHeader = (firstLabel) => columns.map(([key, label, align], i) => {
+        const arrow = attributionTableSort.key === key ? (attributionTableSort.descending ? ' ▼' : ' ▲') : '';
+        return `<th class="attribution-table-sort" data-sort="${key}" style="padding: 8px; text-align: ${align}; cursor: pointer; white-space: nowrap;">${i === 0 ? firstLabel : label}${arrow}</th>`;
+    }).join('');
+    const renderRow = (row, indent = false) => `
+        <tr style="border-bottom: 1px solid var(--SmartThemeBorderColor);${indent ? ' opacity: 0.8;' : ''}">
+            <td style="padding: 6px 8px;${indent ? ' padding-left: 24px;' : ''}" title="${escapeHtml(row.key)}">${escapeHtml(row.name)}</td>
+            <td style="padding: 6px 8px; text-align: right;">${row.messageCount}</td>
+            <td style="padding: 6px 8px; text-align: right;">${formatTokens(row.input)}</td>
+            <td style="padding: 6px 8px; text-align: right;">${formatTokens(row.output)}</td>
+            <td style="padding: 6px 8px; text-align: right;">${formatTokens(row.total)}</td>
+            <td style="padding: 6px 8px; text-align: right;">${formatCost(row.cost, true)}</td>
+        </tr>`;
+
+    container.innerHTML = tables.filter(table => table.rows.length > 0).map((table, i) => `
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;${i > 0 ? ' margin-top: 12px;' : ''}">
+            <thead style="${i === 0 ? 'position: sticky; top: 0; ' : ''}background: var(--SmartThemeBlurTintColor);">
+                <tr style="border-bottom: 1px solid var(--SmartThemeBorderColor);">${renderHeader(table.label)}</tr>
+            </thead>
+            <tbody>${table.rows.map(row => renderRow(row) + (table.getChildren ? table.getChildren(row).map(child => renderRow(child, true)).join('') : '')).join('')}</tbody>
+        </table>`).join('');
+
+    container.querySelectorAll('.attribution-table-sort').forEach(th => {
+        th.addEventListener('click', () => {
+            const key = th.getAttribute('data-sort');
+            attributionTableSort = {
+                key,
+                descending: attributionTableSort.key === key ? !attributionTableSort.descending : key !== 'name',
+            };
+            rerender();
+        });
+    });
+}
+
+/**
+ * Render the sortable per-character table (and per-group table with member split) in a container
+ */
+function renderCharacterTable(container) {
+    const usage = getUsage();
+    const groupCosts = getLedgerCosts(entry => entry.groupId);
+    // Member costs of every group, in one pass over the ledger
+    const memberCosts = {};
+    for (const entry of usage.ledger) {
+        if (!entry.groupId || !entry.characterId) continue;
+        const costs = memberCosts[entry.groupId] ??= {};
+        costs[entry.characterId] = (costs[entry.characterId] || 0) + calculateEntryCost(entry);
+    }
+    renderAttributionTables(container, [
+        { label: 'Character', rows: getAttributionRows(usage.byCharacter, getLedgerCosts(entry => entry.characterId)) },
+        {
+            label: 'Group / Member',
+            rows: getAttributionRows(usage.byGroup, groupCosts),
+            getChildren: (row) => getAttributionRows(usage.byGroup[row.key]?.members, memberCosts[row.key] || {}),
+        },
+    ], 'No character data yet', () => renderCharacterTable(container));
+}
+
+/**
+ * Render the sortable per-source table of background requests in a container
+ */
+function renderSourceTable(container) {
+    const usage = getUsage();
+    renderAttributionTables(container, [
+        { label: 'Source', rows: getAttributionRows(usage.bySource, getLedgerCosts(entry => entry.source)) },
+    ], 'No background requests recorded yet', () => renderSourceTable(container));
+}
+
 /**
  * Render a bar chart in a specific container
  */
@@ -1686,6 +4296,103 @@ function renderInputOutputChart(container, data) {
     container.appendChild(svg);
 }
 
+/**
+ * Render daily usage as stacked bars (generation types, prompt composition, ...)
+ * @param {HTMLElement} container
+ * @param {Array<{segments: Object<string, number>, fullDate: string}>} data - One item per bar
+ * @param {Object<string, {label: string, color: string}>} segmentStyles - Segment keys in stacking order (bottom first)
+ * @param {string} emptyText - Shown when no segment has data
+ */
+function renderStackedChart(container, data, segmentStyles, emptyText) {
+    const rect = container.getBoundingClientRect();
+    const width = rect.width || 400;
+    const height = rect.height || 200;
+
+    const presentTypes = Object.keys(segmentStyles).filter(type => data.some(d => d.segments[type] > 0));
+
+    if (presentTypes.length === 0) {
+        container.innerHTML = `<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: var(--SmartThemeBodyColor); opacity: 0.5;">${emptyText}</div>`;
+        return;
+    }
+
+    const padding = { top: 25, right: 20, bottom: 35, left: 50 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const maxValue = Math.max(...data.map(d => presentTypes.reduce((sum, type) => sum + (d.segments[type] || 0), 0)), 1);
+
+    const svg = createSVGElement('svg', {
+        width: width, height: height, viewBox: `0 0 ${width} ${height}`, style: 'display: block;'
+    });
+
+    // Y-axis gridlines
+    const gridLinesGroup = createSVGElement('g');
+    for (let i = 0; i <= 4; i++) {
+        const y = padding.top + (chartHeight * (1 - i / 4));
+        const line = createSVGElement('line', {
+            x1: padding.left, y1: y, x2: width - padding.right, y2: y,
+            stroke: 'var(--SmartThemeBorderColor)', 'stroke-opacity': '0.3'
+        });
+        gridLinesGroup.appendChild(line);
+
+        const label = createSVGElement('text', {
+            x: padding.left - 5, y: y + 3, 'text-anchor': 'end',
+            fill: 'var(--SmartThemeBodyColor)', 'font-size': '9', opacity: '0.5'
+        });
+        label.textContent = formatTokens(Math.round(maxValue * i / 4));
+        gridLinesGroup.appendChild(label);
+    }
+    svg.appendChild(gridLinesGroup);
+
+    // Stacked bars, one segment per key
+    const barWidth = Math.max(3, (chartWidth / data.length) - 2);
+    const barGroup = createSVGElement('g');
+    data.forEach((d, i) => {
+        const x = padding.left + (i / data.length) * chartWidth;
+        let stackedHeight = 0;
+
+        for (const type of presentTypes) {
+            const value = d.segments[type] || 0;
+            if (value <= 0) continue;
+            const segmentHeight = (value / maxValue) * chartHeight;
+            stackedHeight += segmentHeight;
+
+            const segment = createSVGElement('rect', {
+                x: x, y: padding.top + chartHeight - stackedHeight,
+                width: barWidth, height: segmentHeight,
+                fill: segmentStyles[type].color, rx: '1'
+            });
+            const title = createSVGElement('title');
+            title.textContent = `${d.fullDate}\n${segmentStyles[type].label}: ${formatNumberFull(value)} tokens`;
+            segment.appendChild(title);
+            segment.addEventListener('mouseenter', () => {
+                // @ts-ignore
+                segment.setAttribute('opacity', '0.8');
+            });
+            segment.addEventListener('mouseleave', () => {
+                // @ts-ignore
+                segment.setAttribute('opacity', '1');
+            });
+            barGroup.appendChild(segment);
+        }
+    });
+    svg.appendChild(barGroup);
+
+    // Legend
+    const legendGroup = createSVGElement('g');
+    let legendX = padding.left;
+    for (const type of presentTypes) {
+        const legendRect = createSVGElement('rect', { x: legendX, y: 5, width: 12, height: 12, fill: segmentStyles[type].color, rx: '2' });
+        const legendText = createSVGElement('text', { x: legendX + 16, y: 14, fill: 'var(--SmartThemeBodyColor)', 'font-size': '10' });
+        legendText.textContent = segmentStyles[type].label;
+        legendGroup.appendChild(legendRect);
+        legendGroup.appendChild(legendText);
+        legendX += 24 + segmentStyles[type].label.length * 6;
+    }
+    svg.appendChild(legendGroup);
+
+    container.appendChild(svg);
+}
+
 /**
  * Render cumulative line chart
  */
@@ -1816,7 +4523,7 @@ function renderCostChart(container, data) {
             x: padding.left - 5, y: y + 3, 'text-anchor': 'end',
             fill: 'var(--SmartThemeBodyColor)', 'font-size': '9', opacity: '0.5'
         });
-        label.textContent = '$' + (maxCost * i / 4).toFixed(2);
+        label.textContent = formatCost(maxCost * i / 4);
         gridLinesGroup.appendChild(label);
     }
     svg.appendChild(gridLinesGroup);
@@ -1852,7 +4559,7 @@ function renderCostChart(container, data) {
         x: width - padding.right, y: padding.top - 5, 'text-anchor': 'end',
         fill: 'var(--SmartThemeBodyColor)', 'font-size': '11', 'font-weight': '600'
     });
-    totalLabel.textContent = `30-day total: $${totalCost.toFixed(2)}`;
+    totalLabel.textContent = `30-day total: ${formatCost(totalCost)}`;
     svg.appendChild(totalLabel);
 
     container.appendChild(svg);
@@ -1867,7 +4574,7 @@ async function showSettingsPopup() {
     let capturedValues = null;
 
     const popupContent = `
-        <div style="min-width: 450px;">
+        <div style="min-width: 520px;">
             <h3 style="margin: 0 0 16px 0; display: flex; align-items: center; gap: 8px;">
                 <i class="fa-solid fa-gear"></i> Token Usage Tracker Settings
             </h3>
@@ -1883,6 +4590,18 @@ async function showSettingsPopup() {
                         <input type="checkbox" id="tut-show-costs" ${settings.showCostEstimates ? 'checked' : ''}>
                         <span>Show cost estimates</span>
                     </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="tut-show-topbar" ${settings.showInTopBar ? 'checked' : ''}>
+                        <span>Show today's usage in the top bar</span>
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="tut-show-badges" ${settings.showMessageBadges ? 'checked' : ''}>
+                        <span>Show token and cost badges on AI messages</span>
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="tut-show-send-estimate" ${settings.showSendEstimate ? 'checked' : ''}>
+                        <span>Show the next prompt's estimated cost by the send button</span>
+                    </label>
                     <div style="display: flex; align-items: center; gap: 8px;">
                         <span style="font-size: 12px;">Default chart range:</span>
                         <select id="tut-default-range" class="text_pole" style="width: auto; padding: 4px 8px;">
@@ -1910,32 +4629,93 @@ async function showSettingsPopup() {
                         <input type="checkbox" id="tut-chat-tracking" ${settings.enableChatTracking ? 'checked' : ''}>
                         <span>Enable per-chat tracking</span>
                     </label>
+                    <div style="display: flex; align-items: center; gap: 8px;">
+                        <span style="font-size: 12px;">Weeks start on</span>
+                        <select id="tut-week-start" class="text_pole" style="width: auto; padding: 4px 8px;">
+                            ${Object.entries(WEEK_STARTS).map(([value, label]) => `<option value="${value}" ${value === settings.weekStart ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </div>
                 </div>
             </div>
 
             <div style="margin-bottom: 16px;">
-                <h4 style="margin: 0 0 8px 0; font-size: 13px; opacity: 0.8;">Alerts & Budget</h4>
+                <h4 style="margin: 0 0 8px 0; font-size: 13px; opacity: 0.8;">Alerts & Budgets</h4>
                 <div style="display: flex; flex-direction: column; gap: 8px;">
+                    <div id="tut-budget-list" style="display: flex; flex-direction: column; gap: 6px;">
+                        ${settings.budgets.map(renderBudgetEditorRow).join('')}
+                    </div>
+                    <div>
+                        <button class="menu_button" id="tut-add-budget" style="padding: 4px 10px; font-size: 12px;">
+                            <i class="fa-solid fa-plus"></i> Add budget
+                        </button>
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 8px;">
+                        <span style="font-size: 12px;">When a request would exceed a budget:</span>
+                        <select id="tut-budget-enforcement" class="text_pole" style="width: auto; padding: 4px 8px;">
+                            <option value="off" ${settings.budgetEnforcement === 'off' ? 'selected' : ''}>Send it (warn afterwards)</option>
+                            <option value="confirm" ${settings.budgetEnforcement === 'confirm' ? 'selected' : ''}>Ask before sending</option>
+                            <option value="block" ${settings.budgetEnforcement === 'block' ? 'selected' : ''}>Block it</option>
+                        </select>
+                    </div>
                     <div style="display: flex; align-items: center; gap: 8px;">
-                        <span style="font-size: 12px;">Daily token warning:</span>
-                        <input type="number" id="tut-warning-threshold" class="text_pole" value="${settings.warningThreshold || ''}" min="0" step="1000" placeholder="0 = disabled" style="width: 120px; padding: 4px 8px;">
-                        <span style="font-size: 11px; opacity: 0.5;">tokens</span>
+                        <span style="font-size: 12px;">Warn when one prompt would cost more than</span>
+                        <input type="number" id="tut-max-request-cost" class="text_pole" min="0" step="0.01" value="${settings.maxRequestCost || ''}" placeholder="off" style="width: 80px; padding: 4px 8px;">
+                        <span style="font-size: 12px;">${settings.currency}</span>
                     </div>
+                </div>
+            </div>
+
+            <div style="margin-bottom: 16px;">
+                <h4 style="margin: 0 0 8px 0; font-size: 13px; opacity: 0.8;">Currency</h4>
+                <div style="display: flex; flex-direction: column; gap: 8px;">
                     <div style="display: flex; align-items: center; gap: 8px;">
-                        <span style="font-size: 12px;">Monthly budget limit:</span>
-                        <input type="number" id="tut-budget-limit" class="text_pole" value="${settings.budgetLimit || ''}" min="0" step="1" placeholder="0 = disabled" style="width: 120px; padding: 4px 8px;">
-                        <span style="font-size: 11px; opacity: 0.5;">$ USD</span>
+                        <span style="font-size: 12px;">Show costs in</span>
+                        <select id="tut-currency" class="text_pole" style="width: auto; padding: 4px 8px;">
+                            ${Object.entries(CURRENCIES).map(([code, { name }]) => `<option value="${code}" ${code === settings.currency ? 'selected' : ''}>${code} - ${name}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div style="font-size: 11px; opacity: 0.6;">Exchange rates are units of the currency per 1 USD. Each rate applies from its date on, so past costs keep the rate of their day.</div>
+                    <div id="tut-rate-list" style="display: flex; flex-direction: column; gap: 6px;">
+                        ${Object.entries(settings.exchangeRates).flatMap(([currency, rates]) => rates.map(rate => renderExchangeRateRow({ currency, ...rate }))).join('')}
+                    </div>
+                    <div>
+                        <button class="menu_button" id="tut-add-rate" style="padding: 4px 10px; font-size: 12px;">
+                            <i class="fa-solid fa-plus"></i> Add rate
+                        </button>
                     </div>
                 </div>
             </div>
 
             <div style="margin-bottom: 16px;">
-                <h4 style="margin: 0 0 8px 0; font-size: 13px; opacity: 0.8;">Model Pricing (per 1M tokens)</h4>
+                <div style="display: flex; align-items: center; justify-content: space-between; margin: 0 0 8px 0;">
+                    <h4 style="margin: 0; font-size: 13px; opacity: 0.8;">Model Pricing (per 1M tokens)</h4>
+                    <button class="menu_button" id="tut-import-prices" title="Import prices from a JSON price sheet, e.g. OpenRouter's /models response saved to a file" style="padding: 4px 8px; margin: 0; font-size: 11px;">
+                        <i class="fa-solid fa-file-import"></i> Import Price Sheet
+                    </button>
+                </div>
                 <div id="tut-model-pricing" style="max-height: 200px; overflow-y: auto; border: 1px solid var(--SmartThemeBorderColor); border-radius: 8px; padding: 8px;">
                     ${renderModelPricingList()}
                 </div>
             </div>
 
+            <div style="margin-bottom: 16px;">
+                <h4 style="margin: 0 0 8px 0; font-size: 13px; opacity: 0.8;">Model Aliases</h4>
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                    <div style="font-size: 11px; opacity: 0.6;">Count model IDs matching a glob (gpt-4o-*) or /regex/ as one model. Regex groups can be used in the model name as $1.</div>
+                    <div id="tut-alias-list" style="display: flex; flex-direction: column; gap: 6px;">
+                        ${settings.modelAliases.map(renderAliasEditorRow).join('')}
+                    </div>
+                    <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+                        <button class="menu_button" id="tut-add-alias" style="padding: 4px 10px; font-size: 12px;">
+                            <i class="fa-solid fa-plus"></i> Add rule
+                        </button>
+                        <button class="menu_button" id="tut-merge-aliases" title="Rewrite recorded usage so aliased models are stored under their canonical model" style="padding: 4px 10px; font-size: 12px;">
+                            <i class="fa-solid fa-code-merge"></i> Merge Models in History
+                        </button>
+                    </div>
+                </div>
+            </div>
+
             <div style="margin-bottom: 8px;">
                 <h4 style="margin: 0 0 8px 0; font-size: 13px; opacity: 0.8;">Data Management</h4>
                 <div style="display: flex; gap: 8px; flex-wrap: wrap;">
@@ -1945,9 +4725,65 @@ async function showSettingsPopup() {
                     <button class="menu_button" id="tut-export-data" style="padding: 6px 12px;">
                         <i class="fa-solid fa-download"></i> Export Data
                     </button>
+                    <button class="menu_button" id="tut-export-csv" style="padding: 6px 12px;">
+                        <i class="fa-solid fa-file-csv"></i> Export CSV
+                    </button>
                     <button class="menu_button" id="tut-import-data" style="padding: 6px 12px;">
                         <i class="fa-solid fa-upload"></i> Import Data
                     </button>
+                    <button class="menu_button" id="tut-rebuild-data" title="Recalculate all totals from the per-request ledger" style="padding: 6px 12px;">
+                        <i class="fa-solid fa-rotate"></i> Rebuild from Ledger
+                    </button>
+                </div>
+            </div>
+
+            <div style="margin-bottom: 16px;">
+                <h4 style="margin: 0 0 8px 0; font-size: 13px; opacity: 0.8;">Data Retention</h4>
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                    <div style="font-size: 11px; opacity: 0.6;">Leave empty to keep forever. All-time, daily, weekly, monthly and per-model totals are always kept. Compaction runs on startup and daily.</div>
+                    <div style="display: flex; align-items: center; gap: 8px; font-size: 12px;">
+                        <span>Keep hourly data for</span>
+                        <input type="number" id="tut-retain-hourly" class="text_pole" value="${settings.retainHourlyDays || ''}" min="0" placeholder="all" style="width: 70px; padding: 4px 8px;">
+                        <span>days</span>
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 8px; font-size: 12px;">
+                        <span>Drop per-chat data of deleted chats after</span>
+                        <input type="number" id="tut-retain-chats" class="text_pole" value="${settings.retainDeletedChatMonths || ''}" min="0" placeholder="never" style="width: 70px; padding: 4px 8px;">
+                        <span>months</span>
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 8px; font-size: 12px;">
+                        <span>Keep per-request detail for the last</span>
+                        <input type="number" id="tut-max-ledger" class="text_pole" value="${settings.maxLedgerEntries || ''}" min="0" step="100" placeholder="all" style="width: 80px; padding: 4px 8px;">
+                        <span>requests (${formatNumberFull(getUsage().ledger.length)} now)</span>
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 8px;">
+                        <button class="menu_button" id="tut-compact-now" style="padding: 4px 10px; font-size: 12px;">
+                            <i class="fa-solid fa-compress"></i> Compact now
+                        </button>
+                        <span style="font-size: 11px; opacity: 0.6;">${settings.lastCompaction ? `Last run ${new Date(settings.lastCompaction.at).toLocaleString()}, reclaimed ${formatBytes(settings.lastCompaction.reclaimedBytes)}` : 'Not run yet'}</span>
+                    </div>
+                </div>
+            </div>
+
+            <div style="margin-bottom: 8px;">
+                <h4 style="margin: 0 0 8px 0; font-size: 13px; opacity: 0.8;">Backups</h4>
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                    <div style="font-size: 11px; opacity: 0.6;">Snapshots are saved as JSON files in your SillyTavern user files. A snapshot is always taken before a reset or restore.</div>
+                    <div style="display: flex; align-items: center; gap: 8px; flex-wrap: wrap;">
+                        <span style="font-size: 12px;">Back up</span>
+                        <select id="tut-backup-schedule" class="text_pole" style="width: auto; padding: 4px 8px;">
+                            ${Object.entries(BACKUP_SCHEDULES).map(([value, label]) => `<option value="${value}" ${value === settings.backupSchedule ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                        <span style="font-size: 12px;">keeping the newest</span>
+                        <input type="number" id="tut-backup-keep" class="text_pole" value="${settings.backupKeep}" min="1" max="100" style="width: 60px; padding: 4px 8px;">
+                        <button class="menu_button" id="tut-show-backups" style="padding: 4px 10px; font-size: 12px;">
+                            <i class="fa-solid fa-clock-rotate-left"></i> Backups (${settings.backups.length})
+                        </button>
+                    </div>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="tut-usage-server-sync" ${settings.usageServerSync ? 'checked' : ''}>
+                        <span>Also keep usage data on the server (usage is otherwise only stored in this browser)</span>
+                    </label>
                 </div>
             </div>
         </div>
@@ -1960,41 +4796,241 @@ async function showSettingsPopup() {
         allowVerticalScrolling: true,
         onOpen: () => {
             // Attach event handlers
-            $('#tut-reset-all').on('click', () => {
-                if (confirm('Are you sure you want to reset ALL token usage data? This cannot be undone.')) {
-                    resetAllUsage();
-                    // @ts-ignore
-                    toastr.success('All data reset');
+            $('#tut-reset-all').on('click', async () => {
+                if (confirm('Are you sure you want to reset ALL token usage data? A backup is saved first and can be restored from Backups.')) {
+                    if (await resetAllUsage()) {
+                        // @ts-ignore
+                        toastr.success('All data reset');
+                    }
                 }
             });
 
+            $('#tut-show-backups').on('click', () => {
+                showBackupsPopup();
+            });
+
+            $('#tut-compact-now').on('click', async () => {
+                const retention = readRetentionInputs();
+                const confirmPopup = new Popup(
+                    '<h3>Compact usage data now?</h3><p>Data past the retention settings above is deleted. Totals are kept, and backups still have the detail.</p>',
+                    POPUP_TYPE.CONFIRM, '', { okButton: 'Compact', cancelButton: 'Cancel' },
+                );
+                if (!await confirmPopup.show()) return;
+
+                const result = compactUsage(retention);
+                // @ts-ignore
+                toastr.success(`Dropped ${result.hours} hourly and ${result.chats} chat entries, folded ${result.entries} requests, reclaimed ${formatBytes(result.reclaimedBytes)}`, 'Compaction done');
+            });
+
             $('#tut-export-data').on('click', () => {
                 exportUsageData();
             });
 
+            $('#tut-export-csv').on('click', () => {
+                showCsvExportPopup();
+            });
+
+            // Budget editor handlers
+            $('#tut-add-budget').on('click', () => {
+                $('#tut-budget-list').append(renderBudgetEditorRow({
+                    id: uuidv4(), name: '', scope: 'global', scopeValue: '', window: 'month',
+                    limitType: 'cost', limit: 0, warnPercent: 80, criticalPercent: 100,
+                }));
+            });
+            $('#tut-budget-list').on('click', '.budget-remove', function() {
+                $(this).closest('.budget-row').remove();
+            });
+            $('#tut-budget-list').on('change', '.budget-scope', function() {
+                const row = $(this).closest('.budget-row');
+                row.find('.budget-scope-value').toggle($(this).val() !== 'global');
+            });
+            $('#tut-budget-list').on('click', '.budget-use-current', function() {
+                const row = $(this).closest('.budget-row');
+                const context = getContext();
+                const attribution = getCurrentAttribution();
+                const currentValues = {
+                    model: getCurrentModelId(),
+                    chat: context.chatMetadata?.chat_id || '',
+                    character: attribution.characterId || '',
+                    profile: attribution.profileId || '',
+                };
+                row.find('.budget-scope-value-input').val(currentValues[String(row.find('.budget-scope').val())] || '');
+            });
+
             $('#tut-import-data').on('click', () => {
                 importUsageData();
             });
 
-            // Model pricing handlers
-            $('#tut-model-pricing').on('input', '.model-price-in, .model-price-out', function() {
-                const modelId = $(this).data('model');
-                const priceIn = $(`#tut-model-pricing .model-price-in[data-model="${modelId}"]`).val();
-                const priceOut = $(`#tut-model-pricing .model-price-out[data-model="${modelId}"]`).val();
-                setModelPrice(modelId, String(priceIn ?? ''), String(priceOut ?? ''));
+            $('#tut-rebuild-data').on('click', () => {
+                rebuildUsageFromLedger();
+                // @ts-ignore
+                toastr.success('Usage totals rebuilt from ledger');
             });
-        },
-        onClosing: (popup) => {
-            if (popup.result >= 1) { // POPUP_RESULT.AFFIRMATIVE = 1
+
+            // Exchange rate handlers
+            $('#tut-add-rate').on('click', () => {
+                const currency = String($('#tut-currency').val());
+                $('#tut-rate-list').append(renderExchangeRateRow({ currency: currency === 'USD' ? 'EUR' : currency, from: getDayKey(), rate: '' }));
+            });
+            $('#tut-rate-list').on('click', '.rate-remove', function() {
+                $(this).closest('.rate-row').remove();
+            });
+
+            // Model alias handlers
+            $('#tut-add-alias').on('click', () => {
+                $('#tut-alias-list').append(renderAliasEditorRow({ id: uuidv4(), pattern: '', canonical: '' }));
+            });
+            $('#tut-alias-list').on('click', '.alias-remove', function() {
+                $(this).closest('.alias-row').remove();
+            });
+            $('#tut-merge-aliases').on('click', async () => {
+                const rules = readAliasEditorRows();
+                const modelIds = new Set([...Object.keys(getUsage().byModel), ...getUsage().ledger.map(entry => entry.model).filter(Boolean)]);
+                const renames = [...modelIds].sort()
+                    .map(modelId => [modelId, resolveModelAlias(modelId, rules)])
+                    .filter(([modelId, canonical]) => canonical !== modelId);
+                if (renames.length === 0) {
+                    // @ts-ignore
+                    toastr.info('No recorded models match these rules');
+                    return;
+                }
+
+                const list = renames.map(([modelId, canonical]) => `<li>${escapeHtml(modelId)} &rarr; <b>${escapeHtml(canonical)}</b></li>`).join('');
+                const confirmPopup = new Popup(
+                    `<h3>Merge ${renames.length} model${renames.length === 1 ? '' : 's'}?</h3>
+                    <ul style="text-align: left; font-size: 12px; max-height: 240px; overflow-y: auto;">${list}</ul>
+                    <p style="font-size: 12px; opacity: 0.7;">Recorded usage is rewritten and the alias rules are saved. This can't be undone.</p>`,
+                    POPUP_TYPE.CONFIRM, '', { okButton: 'Merge', cancelButton: 'Cancel' },
+                );
+                if (!await confirmPopup.show()) return;
+
+                settings.modelAliases = rules;
+                const count = mergeAliasedModels();
+                $('#tut-model-pricing').html(renderModelPricingList());
+                // @ts-ignore
+                toastr.success(`Merged ${count} model${count === 1 ? '' : 's'}`);
+            });
+
+            // Model pricing handlers
+            $('#tut-import-prices').on('click', () => importPriceSheet());
+
+            $('#tut-model-pricing').on('input', '.model-price-in, .model-price-out, .model-price-cache-read, .model-price-cache-write', function() {
+                const modelId = $(this).data('model');
+                const priceIn = $(`#tut-model-pricing .model-price-in[data-model="${modelId}"]`).val();
+                const priceOut = $(`#tut-model-pricing .model-price-out[data-model="${modelId}"]`).val();
+                const priceCacheRead = $(`#tut-model-pricing .model-price-cache-read[data-model="${modelId}"]`).val();
+                const priceCacheWrite = $(`#tut-model-pricing .model-price-cache-write[data-model="${modelId}"]`).val();
+                const index = setModelPrice(modelId, String(priceIn ?? ''), String(priceOut ?? ''), String(priceCacheRead ?? ''), String(priceCacheWrite ?? ''));
+                // The model's row edits the price in force today, which may be one of its dated changes
+                const changeRow = $(`#tut-model-pricing .model-price-change[data-model="${modelId}"][data-index="${index}"]`);
+                changeRow.find('.price-change-in').val(String(priceIn ?? ''));
+                changeRow.find('.price-change-out').val(String(priceOut ?? ''));
+                changeRow.find('.price-change-cache-read').val(String(priceCacheRead ?? ''));
+                changeRow.find('.price-change-cache-write').val(String(priceCacheWrite ?? ''));
+            });
+
+            $('#tut-model-pricing').on('change', '.model-price-currency', function() {
+                setModelPriceCurrency($(this).data('model'), String($(this).val()));
+            });
+
+            // Per-request pricing rules
+            $('#tut-model-pricing').on('click', '.model-price-rules-toggle', function() {
+                const modelId = $(this).data('model');
+                if (!expandedPricingRules.delete(modelId)) expandedPricingRules.add(modelId);
+                $('#tut-model-pricing').html(renderModelPricingList());
+            });
+            $('#tut-model-pricing').on('change', '.model-price-rules input, .model-price-rules select', function() {
+                const panel = $(this).closest('.model-price-rules');
+                // New rules start today; show the dated change that holds them
+                if (setModelPriceRules(panel.data('model'), readPriceRulesEditor(panel))) {
+                    $('#tut-model-pricing').html(renderModelPricingList());
+                }
+            });
+            $('#tut-model-pricing').on('click', '.price-tier-add, .price-tier-remove', function() {
+                const panel = $(this).closest('.model-price-rules');
+                const modelId = panel.data('model');
+                const rules = readPriceRulesEditor(panel);
+                if ($(this).hasClass('price-tier-add')) {
+                    const prices = getModelPrice(modelId);
+                    const above = Math.max(200000, ...rules.tiers.map(tier => tier.above * 2));
+                    rules.tiers.push({ above, in: prices.in, out: prices.out, cacheRead: prices.cacheRead ?? null, cacheWrite: prices.cacheWrite ?? null });
+                } else {
+                    rules.tiers.splice(Number($(this).closest('.price-tier').data('index')), 1);
+                }
+                setModelPriceRules(modelId, rules);
+                $('#tut-model-pricing').html(renderModelPricingList());
+            });
+
+            // Dated price changes: prefill a new change with the price in force today
+            $('#tut-model-pricing').on('click', '.model-price-add-change', function() {
+                const modelId = $(this).data('model');
+                const prices = getModelPrice(modelId);
+                setModelPriceChange(modelId, -1, getDayKey(), prices.in, prices.out, prices.cacheRead ?? '', prices.cacheWrite ?? '');
+                $('#tut-model-pricing').html(renderModelPricingList());
+            });
+
+            $('#tut-model-pricing').on('input change', '.model-price-change input', function(e) {
+                const row = $(this).closest('.model-price-change');
+                const from = String(row.find('.price-change-from').val() || '');
+                // Wait for a complete date before re-sorting the history
+                if ($(this).hasClass('price-change-from') && (e.type !== 'change' || !from)) return;
+                setModelPriceChange(
+                    row.data('model'),
+                    Number(row.data('index')),
+                    from,
+                    String(row.find('.price-change-in').val() ?? ''),
+                    String(row.find('.price-change-out').val() ?? ''),
+                    String(row.find('.price-change-cache-read').val() ?? ''),
+                    String(row.find('.price-change-cache-write').val() ?? ''),
+                );
+                if ($(this).hasClass('price-change-from')) {
+                    $('#tut-model-pricing').html(renderModelPricingList());
+                } else if (getPriceChangeIndex(getSettings().modelPrices[row.data('model')]) === Number(row.data('index'))) {
+                    // The change in force today is also shown in the model's row
+                    const modelId = row.data('model');
+                    $(`#tut-model-pricing .model-price-in[data-model="${modelId}"]`).val(String(row.find('.price-change-in').val() ?? ''));
+                    $(`#tut-model-pricing .model-price-out[data-model="${modelId}"]`).val(String(row.find('.price-change-out').val() ?? ''));
+                    $(`#tut-model-pricing .model-price-cache-read[data-model="${modelId}"]`).val(String(row.find('.price-change-cache-read').val() ?? ''));
+                    $(`#tut-model-pricing .model-price-cache-write[data-model="${modelId}"]`).val(String(row.find('.price-change-cache-write').val() ?? ''));
+                }
+            });
+
+            $('#tut-model-pricing').on('click', '.price-change-remove', function() {
+                const row = $(this).closest('.model-price-change');
+                removeModelPriceChange(row.data('model'), Number(row.data('index')));
+                $('#tut-model-pricing').html(renderModelPricingList());
+            });
+        },
+        onClosing: (popup) => {
+            if (popup.result >= 1) { // POPUP_RESULT.AFFIRMATIVE = 1
+                // Costs can't be shown in a currency without a rate - keep the popup open until one is added
+                const currency = String($('#tut-currency').val() || 'USD');
+                if (!hasExchangeRate(currency, readExchangeRateRows())) {
+                    // @ts-ignore
+                    toastr.error(`Add an exchange rate for ${currency} before showing costs in it`);
+                    return false;
+                }
                 capturedValues = {
                     compactMode: $('#tut-compact-mode').is(':checked'),
                     showCostEstimates: $('#tut-show-costs').is(':checked'),
+                    showInTopBar: $('#tut-show-topbar').is(':checked'),
+                    showMessageBadges: $('#tut-show-badges').is(':checked'),
+                    showSendEstimate: $('#tut-show-send-estimate').is(':checked'),
+                    maxRequestCost: Math.max(0, parseFloat(String($('#tut-max-request-cost').val())) || 0),
                     defaultChartRange: parseInt(String($('#tut-default-range').val())) || 30,
                     chartHeight: parseInt(String($('#tut-chart-height').val())) || 320,
                     enableHourlyTracking: $('#tut-hourly-tracking').is(':checked'),
                     enableChatTracking: $('#tut-chat-tracking').is(':checked'),
-                    warningThreshold: parseInt(String($('#tut-warning-threshold').val())) || 0,
-                    budgetLimit: parseFloat(String($('#tut-budget-limit').val())) || 0,
+                    weekStart: String($('#tut-week-start').val() || defaultSettings.weekStart),
+                    budgets: readBudgetEditorRows(),
+                    modelAliases: readAliasEditorRows(),
+                    currency: String($('#tut-currency').val() || 'USD'),
+                    exchangeRates: readExchangeRateRows(),
+                    budgetEnforcement: String($('#tut-budget-enforcement').val() || 'off'),
+                    backupSchedule: String($('#tut-backup-schedule').val() || 'off'),
+                    backupKeep: Math.max(1, parseInt(String($('#tut-backup-keep').val())) || defaultSettings.backupKeep),
+                    usageServerSync: $('#tut-usage-server-sync').is(':checked'),
+                    ...readRetentionInputs(),
                 };
             }
             return true; // Allow closing
@@ -2004,256 +5040,1673 @@ async function showSettingsPopup() {
     const result = await popup.show();
 
     if (result && capturedValues) {
+        // Tracking that was just switched off: offer to drop the data it collected (the ledger still has it)
+        const clearHourly = settings.enableHourlyTracking && !capturedValues.enableHourlyTracking && Object.keys(getUsage().byHour).length > 0;
+        const clearChats = settings.enableChatTracking && !capturedValues.enableChatTracking && Object.keys(getUsage().byChat).length > 0;
+        if (clearHourly || clearChats) {
+            const what = [clearHourly && 'hourly', clearChats && 'per-chat'].filter(Boolean).join(' and ');
+            const confirmPopup = new Popup(
+                `<h3>Delete existing ${what} data?</h3><p>Tracking is now off, so no new ${what} data will be recorded. Data you keep stays in the charts and is still there if you turn tracking back on; deleted data can't be brought back.</p>`,
+                POPUP_TYPE.CONFIRM, '', { okButton: 'Delete', cancelButton: 'Keep' },
+            );
+            if (await confirmPopup.show()) {
+                // The entries are flagged too, so the buckets stay empty when they're rebuilt
+                const usage = getUsage();
+                for (const entry of usage.ledger) {
+                    if (clearHourly) entry.excludeFromHourly = true;
+                    if (clearChats) entry.excludeFromChat = true;
+                }
+                for (const target of [usage, usage.baseline].filter(Boolean)) {
+                    if (clearHourly) target.byHour = {};
+                    if (clearChats) target.byChat = {};
+                }
+                saveUsage();
+            }
+        }
+
         // Apply captured values to settings
         settings.compactMode = capturedValues.compactMode;
         settings.showCostEstimates = capturedValues.showCostEstimates;
+        settings.showInTopBar = capturedValues.showInTopBar;
+        settings.showMessageBadges = capturedValues.showMessageBadges;
+        settings.showSendEstimate = capturedValues.showSendEstimate;
         settings.defaultChartRange = capturedValues.defaultChartRange;
         settings.chartHeight = capturedValues.chartHeight;
         settings.enableHourlyTracking = capturedValues.enableHourlyTracking;
         settings.enableChatTracking = capturedValues.enableChatTracking;
-        settings.warningThreshold = capturedValues.warningThreshold;
-        settings.budgetLimit = capturedValues.budgetLimit;
+        const weekStartChanged = settings.weekStart !== capturedValues.weekStart;
+        settings.weekStart = capturedValues.weekStart;
+        settings.budgets = capturedValues.budgets;
+        settings.modelAliases = capturedValues.modelAliases;
+        settings.exchangeRates = capturedValues.exchangeRates;
+        if (capturedValues.currency !== settings.currency) {
+            // Cost limits are in the display currency (as entered in this popup), so they move with it at today's rate
+            const convert = (amount) => Number(convertCurrency(amount, settings.currency, capturedValues.currency).toFixed(CURRENCIES[capturedValues.currency]?.decimals ?? 2));
+            capturedValues.maxRequestCost = convert(capturedValues.maxRequestCost);
+            for (const budget of settings.budgets) {
+                if (budget.limitType === 'cost') budget.limit = convert(budget.limit);
+            }
+        }
+        settings.maxRequestCost = capturedValues.maxRequestCost;
+        settings.currency = capturedValues.currency;
+        settings.budgetEnforcement = capturedValues.budgetEnforcement;
+        const keepChanged = settings.backupKeep !== capturedValues.backupKeep;
+        settings.backupSchedule = capturedValues.backupSchedule;
+        settings.backupKeep = capturedValues.backupKeep;
+        if (keepChanged) pruneUsageBackups();
+        runScheduledBackup();
+        // Bring the server copy up to date right away when it's switched on
+        if (capturedValues.usageServerSync && !settings.usageServerSync) writeUsageToServer();
+        settings.usageServerSync = capturedValues.usageServerSync;
+        settings.retainHourlyDays = capturedValues.retainHourlyDays;
+        settings.retainDeletedChatMonths = capturedValues.retainDeletedChatMonths;
+        settings.maxLedgerEntries = capturedValues.maxLedgerEntries;
 
         saveSettings();
+        if (weekStartChanged) rebuildUsageFromLedger();
+        updateTopBarCounter();
+        renderAllMessageBadges();
+        updateSendEstimate();
         updateUIStats();
         // @ts-ignore
         toastr.success('Settings saved');
     }
 }
 
+/**
+ * Read the retention inputs of the settings popup
+ * @returns {{retainHourlyDays: number, retainDeletedChatMonths: number, maxLedgerEntries: number}}
+ */
+function readRetentionInputs() {
+    const read = (selector) => Math.max(0, parseInt(String($(selector).val())) || 0);
+    return {
+        retainHourlyDays: read('#tut-retain-hourly'),
+        retainDeletedChatMonths: read('#tut-retain-chats'),
+        maxLedgerEntries: read('#tut-max-ledger'),
+    };
+}
+
+/**
+ * Render one editable budget row for the settings popup
+ * @param {Object} budget
+ * @returns {string} HTML
+ */
+function renderBudgetEditorRow(budget) {
+    const options = (values, selected) => Object.entries(values)
+        .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    return `
+        <div class="budget-row" data-id="${budget.id}" style="display: flex; flex-direction: column; gap: 4px; padding: 6px; border: 1px solid var(--SmartThemeBorderColor); border-radius: 6px;">
+            <div style="display: flex; align-items: center; gap: 6px;">
+                <input type="text" class="budget-name text_pole" value="${escapeHtml(budget.name || '')}" placeholder="Budget name" style="flex: 1; padding: 4px; font-size: 12px;">
+                <select class="budget-window text_pole" style="width: auto; padding: 4px; font-size: 12px;">${options(BUDGET_WINDOWS, budget.window)}</select>
+                <input type="number" class="budget-limit text_pole" value="${budget.limit || ''}" min="0" step="any" placeholder="Limit" style="width: 80px; padding: 4px; font-size: 12px;">
+                <select class="budget-limit-type text_pole" style="width: auto; padding: 4px; font-size: 12px;">${options({ cost: getSettings().currency || 'USD', tokens: 'tokens' }, budget.limitType)}</select>
+                <div class="menu_button budget-remove" title="Remove budget" style="padding: 4px 8px;"><i class="fa-solid fa-trash"></i></div>
+            </div>
+            <div style="display: flex; align-items: center; gap: 6px; font-size: 12px;">
+                <select class="budget-scope text_pole" style="width: auto; padding: 4px; font-size: 12px;">${options(BUDGET_SCOPES, budget.scope)}</select>
+                <span class="budget-scope-value" style="display: ${budget.scope === 'global' ? 'none' : 'flex'}; flex: 1; gap: 4px; align-items: center;">
+                    <input type="text" class="budget-scope-value-input text_pole" value="${escapeHtml(budget.scopeValue || '')}" placeholder="ID or model glob (e.g. claude-*)" style="flex: 1; padding: 4px; font-size: 12px;">
+                    <span class="menu_button budget-use-current" title="Use the current model/chat/character/profile" style="padding: 4px 8px; white-space: nowrap;">Current</span>
+                </span>
+                <span style="opacity: 0.6;">warn</span>
+                <input type="number" class="budget-warn text_pole" value="${budget.warnPercent ?? 80}" min="0" max="1000" style="width: 50px; padding: 4px; font-size: 12px;">
+                <span style="opacity: 0.6;">% critical</span>
+                <input type="number" class="budget-critical text_pole" value="${budget.criticalPercent ?? 100}" min="0" max="1000" style="width: 50px; padding: 4px; font-size: 12px;">
+                <span style="opacity: 0.6;">%</span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Read the budget rows of the settings popup back into budget objects
+ * @returns {Object[]} Budgets
+ */
+function readBudgetEditorRows() {
+    const budgets = [];
+    $('#tut-budget-list .budget-row').each(function() {
+        const row = $(this);
+        const scope = String(row.find('.budget-scope').val());
+        budgets.push({
+            id: String(row.data('id')),
+            name: String(row.find('.budget-name').val() || '').trim(),
+            scope,
+            scopeValue: scope === 'global' ? '' : String(row.find('.budget-scope-value-input').val() || '').trim(),
+            window: String(row.find('.budget-window').val()),
+            limitType: String(row.find('.budget-limit-type').val()),
+            limit: parseFloat(String(row.find('.budget-limit').val())) || 0,
+            warnPercent: parseFloat(String(row.find('.budget-warn').val())) || 80,
+            criticalPercent: parseFloat(String(row.find('.budget-critical').val())) || 100,
+        });
+    });
+    return budgets;
+}
+
+/**
+ * Render one editable exchange rate row for the settings popup
+ * @param {Object} rate - { currency, from, rate }
+ * @returns {string} HTML
+ */
+function renderExchangeRateRow(rate) {
+    const currencies = Object.keys(CURRENCIES).filter(code => code !== 'USD');
+    return `
+        <div class="rate-row" style="display: flex; align-items: center; gap: 6px; font-size: 12px;">
+            <span style="opacity: 0.6;">1 USD =</span>
+            <input type="number" class="rate-value text_pole" value="${rate.rate}" min="0" step="any" placeholder="Rate" style="width: 90px; padding: 4px; font-size: 12px;">
+            <select class="rate-currency text_pole" style="width: auto; padding: 4px; font-size: 12px;">
+                ${currencies.map(code => `<option value="${code}" ${code === rate.currency ? 'selected' : ''}>${code}</option>`).join('')}
+            </select>
+            <span style="opacity: 0.6;">from</span>
+            <input type="date" class="rate-from text_pole" value="${rate.from}" style="flex: 1; padding: 4px; font-size: 12px;">
+            <div class="menu_button rate-remove" title="Remove rate" style="padding: 4px 8px;"><i class="fa-solid fa-trash"></i></div>
+        </div>
+    `;
+}
+
+/**
+ * Read the exchange rate rows of the settings popup back into dated rates per currency
+ * @returns {Object<string, Array<{from: string, rate: number}>>} Rates sorted by date, incomplete rows dropped
+ */
+function readExchangeRateRows() {
+    const exchangeRates = {};
+    $('#tut-rate-list .rate-row').each(function() {
+        const row = $(this);
+        const currency = String(row.find('.rate-currency').val());
+        const from = String(row.find('.rate-from').val() || '');
+        const rate = parseFloat(String(row.find('.rate-value').val()));
+        if (!from || !(rate > 0)) return;
+        if (!exchangeRates[currency]) exchangeRates[currency] = [];
+        exchangeRates[currency].push({ from, rate });
+    });
+    for (const rates of Object.values(exchangeRates)) {
+        rates.sort((a, b) => a.from.localeCompare(b.from));
+    }
+    return exchangeRates;
+}
+
+/**
+ * Render one editable model alias row for the settings popup
+ * @param {Object} rule - { id, pattern, canonical }
+ * @returns {string} HTML
+ */
+function renderAliasEditorRow(rule) {
+    return `
+        <div class="alias-row" data-id="${rule.id}" style="display: flex; align-items: center; gap: 6px;">
+            <input type="text" class="alias-pattern text_pole" value="${escapeHtml(rule.pattern || '')}" placeholder="gpt-4o-* or /regex/" style="flex: 1; padding: 4px; font-size: 12px;">
+            <i class="fa-solid fa-arrow-right" style="opacity: 0.5;"></i>
+            <input type="text" class="alias-canonical text_pole" value="${escapeHtml(rule.canonical || '')}" placeholder="Model name" style="flex: 1; padding: 4px; font-size: 12px;">
+            <div class="menu_button alias-remove" title="Remove rule" style="padding: 4px 8px;"><i class="fa-solid fa-trash"></i></div>
+        </div>
+    `;
+}
+
+/**
+ * Read the alias rows of the settings popup back into rules, dropping incomplete ones
+ * @returns {Object[]} Alias rules
+ */
+function readAliasEditorRows() {
+    const rules = [];
+    $('#tut-alias-list .alias-row').each(function() {
+        const row = $(this);
+        const pattern = String(row.find('.alias-pattern').val() || '').trim();
+        const canonical = String(row.find('.alias-canonical').val() || '').trim();
+        if (pattern && canonical) rules.push({ id: String(row.data('id')), pattern, canonical });
+    });
+    return rules;
+}
+
+/**
+ * Render budget progress bars in the extension drawer
+ */
+function renderBudgetProgress() {
+    const container = $('#token-usage-budgets');
+    if (container.length === 0) return;
+
+    const budgets = getSettings().budgets.filter(budget => budget.limit > 0);
+    if (budgets.length === 0) {
+        container.empty().hide();
+        return;
+    }
+
+    let html = '';
+    for (const budget of budgets) {
+        const { used, limit, percent } = getBudgetUsage(budget);
+        const color = percent >= (budget.criticalPercent || 100) ? '#ef4444'
+            : percent >= (budget.warnPercent || 80) ? '#f59e0b'
+                : 'var(--SmartThemeQuoteColor)';
+        const label = budget.name || `${BUDGET_WINDOWS[budget.window]} budget`;
+        const scopeLabel = budget.scope === 'global' ? BUDGET_WINDOWS[budget.window] : `${BUDGET_WINDOWS[budget.window]} · ${BUDGET_SCOPES[budget.scope]}: ${budget.scopeValue}`;
+
+        html += `
+            <div class="token-usage-budget" title="${escapeHtml(scopeLabel)}">
+                <div style="display: flex; justify-content: space-between; font-size: 10px; color: var(--SmartThemeBodyColor);">
+                    <span style="opacity: 0.7; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(label)}</span>
+                    <span style="opacity: 0.7; white-space: nowrap;">${formatBudgetValue(budget, used)} / ${formatBudgetValue(budget, limit)}</span>
+                </div>
+                <div class="token-usage-budget-track">
+                    <div class="token-usage-budget-fill" style="width: ${Math.min(100, percent).toFixed(1)}%; background: ${color};"></div>
+                </div>
+            </div>
+        `;
+    }
+    container.html(html).css('display', 'flex');
+}
+
 /**
  * Render the model pricing list for settings popup
  */
 function renderModelPricingList() {
     const stats = getUsageStats();
-    const models = Object.keys(stats.byModel || {}).sort();
+    const models = [...new Set(Object.keys(stats.byModel || {}).map(modelId => resolveModelAlias(modelId)))].sort();
 
     if (models.length === 0) {
         return '<div style="text-align: center; opacity: 0.5; padding: 16px;">No models tracked yet</div>';
     }
 
+    const settings = getSettings();
     let html = '<div style="display: flex; flex-direction: column; gap: 6px;">';
     for (const model of models) {
-        const prices = getModelPrice(model);
+        const catalogPrice = settings.modelPrices[model] ? null : findCatalogPrice(model);
+        const prices = settings.modelPrices[model] || catalogPrice || { in: 0, out: 0 };
         const color = getModelColor(model);
         const shortName = model.length > 25 ? model.substring(0, 22) + '...' : model;
+        const catalogBadge = catalogPrice
+            ? `<i class="fa-solid fa-book" title="Catalog price (v${PRICE_CATALOG.version}); edit to set your own" style="font-size: 10px; opacity: 0.5;"></i>`
+            : '';
+        // The row shows and edits the price in force today
+        const current = resolveDatedPrice(prices);
+        const hasRules = current.tiers?.length > 0 || current.requestFee > 0 || current.freeRequests?.count > 0;
 
         html += `
             <div style="display: flex; align-items: center; gap: 8px;">
                 <input type="color" value="${color}" data-model="${model}" class="model-color-input"
                     style="width: 24px; height: 24px; padding: 0; border: none; cursor: pointer; border-radius: 4px;">
                 <span title="${model}" style="flex: 1; font-size: 12px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${shortName}</span>
-                <input type="number" class="model-price-in text_pole" data-model="${model}" value="${prices.in || ''}"
+                ${catalogBadge}
+                <input type="number" class="model-price-in text_pole" data-model="${model}" value="${current.in || ''}"
                     step="0.01" min="0" placeholder="In $" style="width: 70px; padding: 4px; font-size: 11px;">
-                <input type="number" class="model-price-out text_pole" data-model="${model}" value="${prices.out || ''}"
+                <input type="number" class="model-price-out text_pole" data-model="${model}" value="${current.out || ''}"
                     step="0.01" min="0" placeholder="Out $" style="width: 70px; padding: 4px; font-size: 11px;">
+                <input type="number" class="model-price-cache-read text_pole" data-model="${model}" value="${current.cacheRead ?? ''}"
+                    step="0.01" min="0" placeholder="Cache R $" title="Cache read price (blank = input price)" style="width: 70px; padding: 4px; font-size: 11px;">
+                <input type="number" class="model-price-cache-write text_pole" data-model="${model}" value="${current.cacheWrite ?? ''}"
+                    step="0.01" min="0" placeholder="Cache W $" title="Cache write price (blank = input price)" style="width: 70px; padding: 4px; font-size: 11px;">
+                <select class="model-price-currency text_pole" data-model="${model}" title="Currency these prices are in" style="width: auto; padding: 4px; font-size: 11px;">
+                    ${Object.keys(CURRENCIES).map(code => `<option value="${code}" ${code === (prices.currency || 'USD') ? 'selected' : ''}>${code}</option>`).join('')}
+                </select>
+                <button class="menu_button model-price-add-change" data-model="${model}" title="Add a dated price change"
+                    style="padding: 4px 6px; margin: 0; font-size: 11px;"><i class="fa-solid fa-calendar-plus"></i></button>
+                <button class="menu_button model-price-rules-toggle" data-model="${model}" title="Context tiers, fee per request and free requests"
+                    style="padding: 4px 6px; margin: 0; font-size: 11px; ${hasRules ? 'color: var(--SmartThemeQuoteColor);' : ''}"><i class="fa-solid fa-sliders"></i></button>
             </div>
         `;
+
+        (prices.history || []).forEach((change, index) => {
+            html += `
+            <div class="model-price-change" data-model="${model}" data-index="${index}" style="display: flex; align-items: center; gap: 8px; padding-left: 32px;">
+                <span style="font-size: 11px; opacity: 0.6;">from</span>
+                <input type="date" class="price-change-from text_pole" value="${change.from}" style="flex: 1; padding: 4px; font-size: 11px;">
+                <input type="number" class="price-change-in text_pole" value="${change.in || ''}"
+                    step="0.01" min="0" placeholder="In $" style="width: 70px; padding: 4px; font-size: 11px;">
+                <input type="number" class="price-change-out text_pole" value="${change.out || ''}"
+                    step="0.01" min="0" placeholder="Out $" style="width: 70px; padding: 4px; font-size: 11px;">
+                <input type="number" class="price-change-cache-read text_pole" value="${change.cacheRead ?? ''}"
+                    step="0.01" min="0" placeholder="Cache R $" title="Cache read price (blank = input price)" style="width: 70px; padding: 4px; font-size: 11px;">
+                <input type="number" class="price-change-cache-write text_pole" value="${change.cacheWrite ?? ''}"
+                    step="0.01" min="0" placeholder="Cache W $" title="Cache write price (blank = input price)" style="width: 70px; padding: 4px; font-size: 11px;">
+                <button class="menu_button price-change-remove" title="Remove this price change"
+                    style="padding: 4px 6px; margin: 0; font-size: 11px;"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            `;
+        });
+
+        if (expandedPricingRules.has(model)) {
+            html += renderPriceRulesEditor(model, current);
+        }
     }
     html += '</div>';
     return html;
 }
 
+// Models whose pricing rules are open in the pricing editor
+const expandedPricingRules = new Set();
+
+/**
+ * Render the per-request pricing rules of a model for the pricing editor
+ * @param {string} model
+ * @param {Object} prices - The model's price in force today
+ * @returns {string} HTML
+ */
+function renderPriceRulesEditor(model, prices) {
+    const tierRows = (prices.tiers || []).map((tier, index) => `
+        <div class="price-tier" data-index="${index}" style="display: flex; align-items: center; gap: 8px;">
+            <span style="opacity: 0.6;">Prompts over</span>
+            <input type="number" class="price-tier-above text_pole" value="${tier.above}" min="0" step="1000" style="flex: 1; padding: 4px; font-size: 11px;">
+            <span style="opacity: 0.6;">tokens</span>
+            <input type="number" class="price-tier-in text_pole" value="${tier.in || ''}"
+                step="0.01" min="0" placeholder="In $" style="width: 70px; padding: 4px; font-size: 11px;">
+            <input type="number" class="price-tier-out text_pole" value="${tier.out || ''}"
+                step="0.01" min="0" placeholder="Out $" style="width: 70px; padding: 4px; font-size: 11px;">
+            <input type="number" class="price-tier-cache-read text_pole" value="${tier.cacheRead ?? ''}"
+                step="0.01" min="0" placeholder="Cache R $" title="Cache read price (blank = input price)" style="width: 70px; padding: 4px; font-size: 11px;">
+            <input type="number" class="price-tier-cache-write text_pole" value="${tier.cacheWrite ?? ''}"
+                step="0.01" min="0" placeholder="Cache W $" title="Cache write price (blank = input price)" style="width: 70px; padding: 4px; font-size: 11px;">
+            <button class="menu_button price-tier-remove" title="Remove this tier"
+                style="padding: 4px 6px; margin: 0; font-size: 11px;"><i class="fa-solid fa-xmark"></i></button>
+        </div>
+    `).join('');
+
+    return `
+        <div class="model-price-rules" data-model="${model}" style="display: flex; flex-direction: column; gap: 4px; padding-left: 32px; font-size: 11px;">
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <span style="opacity: 0.6;">Fee per request</span>
+                <input type="number" class="price-rule-fee text_pole" value="${prices.requestFee || ''}" min="0" step="any" placeholder="0" style="width: 70px; padding: 4px; font-size: 11px;">
+                <span style="opacity: 0.6;">Free requests</span>
+                <input type="number" class="price-rule-free-count text_pole" value="${prices.freeRequests?.count || ''}" min="0" step="1" placeholder="0" style="width: 60px; padding: 4px; font-size: 11px;">
+                <span style="opacity: 0.6;">per</span>
+                <select class="price-rule-free-window text_pole" style="width: auto; padding: 4px; font-size: 11px;">
+                    <option value="day" ${prices.freeRequests?.window !== 'month' ? 'selected' : ''}>day</option>
+                    <option value="month" ${prices.freeRequests?.window === 'month' ? 'selected' : ''}>month</option>
+                </select>
+            </div>
+            ${tierRows}
+            <div>
+                <button class="menu_button price-tier-add" style="padding: 4px 8px; margin: 0; font-size: 11px;">
+                    <i class="fa-solid fa-plus"></i> Add context tier
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Read a model's pricing rules back from the pricing editor
+ * @param {JQuery} panel - The model's .model-price-rules element
+ * @returns {{requestFee: number, freeRequests: Object|null, tiers: Object[]}}
+ */
+function readPriceRulesEditor(panel) {
+    const freeCount = parseInt(String(panel.find('.price-rule-free-count').val())) || 0;
+    const tiers = [];
+    panel.find('.price-tier').each(function() {
+        const row = $(this);
+        tiers.push({
+            above: parseInt(String(row.find('.price-tier-above').val())) || 0,
+            in: parseFloat(String(row.find('.price-tier-in').val())) || 0,
+            out: parseFloat(String(row.find('.price-tier-out').val())) || 0,
+            cacheRead: parseOptionalPrice(String(row.find('.price-tier-cache-read').val() ?? '')),
+            cacheWrite: parseOptionalPrice(String(row.find('.price-tier-cache-write').val() ?? '')),
+        });
+    });
+    return {
+        requestFee: parseFloat(String(panel.find('.price-rule-fee').val())) || 0,
+        freeRequests: freeCount > 0 ? { count: freeCount, window: String(panel.find('.price-rule-free-window').val()) } : null,
+        tiers,
+    };
+}
+
+/**
+ * Export usage data as JSON
+ */
+function exportUsageData() {
+    downloadFile(JSON.stringify(getExportData(), null, 2), `token-usage-export-${getDayKey()}.json`, 'application/json');
+    // @ts-ignore
+    toastr.success('Data exported');
+}
+
+/**
+ * Everything a JSON export (or backup) contains
+ * @returns {Object}
+ */
+function getExportData() {
+    const settings = getSettings();
+    return {
+        exportDate: new Date().toISOString(),
+        usage: getUsage(),
+        modelPrices: settings.modelPrices,
+        modelColors: settings.modelColors,
+        // Needed to convert prices entered in other currencies
+        exchangeRates: settings.exchangeRates,
+    };
+}
+
+/**
+ * Offer text content as a file download
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// CSV row granularities; hourly, per-model, per-chat and per-request rows come from the ledger
+const CSV_GRANULARITIES = {
+    hour: 'Hourly',
+    day: 'Daily',
+    week: 'Weekly',
+    month: 'Monthly',
+    model: 'Per model',
+    chat: 'Per chat',
+    request: 'Per request',
+};
+
+const CSV_COLUMNS = {
+    tokens: 'Tokens',
+    messages: 'Messages',
+    cost: 'Cost',
+    model: 'Model',
+};
+
+/**
+ * Parse an export date range
+ * @param {string} [range] - 'all', 'today', 'week', 'month', 'Nd' (last N days), 'YYYY-MM-DD..YYYY-MM-DD' (either end may be left out) or one day
+ * @returns {{startDate: string|null, endDate: string|null}} Inclusive day keys, null for open ends
+ */
+function parseExportRange(range) {
+    const value = String(range || 'all').trim().toLowerCase();
+    const today = getDayKey();
+    if (value === 'all') return { startDate: null, endDate: null };
+    if (value === 'today' || value === 'week' || value === 'month') {
+        return { startDate: getDayKey(getBudgetWindowStart(value === 'today' ? 'day' : value)), endDate: today };
+    }
+
+    const lastDays = value.match(/^(\d+)d$/);
+    if (lastDays) {
+        const start = new Date();
+        start.setDate(start.getDate() - Number(lastDays[1]) + 1);
+        return { startDate: getDayKey(start), endDate: today };
+    }
+
+    const dates = value.match(/^(\d{4}-\d{2}-\d{2})?(?:\.\.(\d{4}-\d{2}-\d{2})?)?$/);
+    if (dates && (dates[1] || dates[2])) {
+        return { startDate: dates[1] || null, endDate: value.includes('..') ? dates[2] || null : dates[1] };
+    }
+    throw new Error(`Unknown range "${range}"`);
+}
+
+/**
+ * Build a CSV spreadsheet of usage
+ * Daily, weekly and monthly rows come from the daily buckets, so they include usage from before the ledger.
+ * @param {Object} [options]
+ * @param {string} [options.granularity] - A CSV_GRANULARITIES key
+ * @param {string|null} [options.startDate] - First day (YYYY-MM-DD), inclusive
+ * @param {string|null} [options.endDate] - Last day (YYYY-MM-DD), inclusive
+ * @param {string[]} [options.columns] - CSV_COLUMNS keys
+ * @param {string} [options.currency] - Currency of the cost column (the display currency by default)
+ * @param {number} [options.decimals] - Decimal places of the cost column
+ * @param {string} [options.decimalSeparator] - '.' or ','; with ',' fields are separated by ';'
+ * @returns {{csv: string, rowCount: number}}
+ */
+function buildUsageCsv({ granularity = 'day', startDate = null, endDate = null, columns = ['tokens', 'messages', 'cost'], currency = getSettings().currency, decimals = 4, decimalSeparator = '.' } = {}) {
+    const settings = getSettings();
+    if (!CSV_GRANULARITIES[granularity]) throw new Error(`Unknown granularity "${granularity}"`);
+    const unknownColumn = columns.find(column => !CSV_COLUMNS[column]);
+    if (unknownColumn) throw new Error(`Unknown column "${unknownColumn}"`);
+    if (!CURRENCIES[currency]) throw new Error(`Unknown currency "${currency}"`);
+    if (!hasExchangeRate(currency)) throw new Error(`No exchange rate for ${currency}; add one in the settings`);
+
+    const inRange = (dayKey) => (!startDate || dayKey >= startDate) && (!endDate || dayKey <= endDate);
+    const toCurrency = (amount, dayKey) => convertCurrency(amount, settings.currency, currency, dayKey);
+    const withModel = columns.includes('model') && granularity !== 'model';
+    const rows = new Map();
+    const addToRow = (rowKey, fields, data, messages, cost) => {
+        if (!rows.has(rowKey)) rows.set(rowKey, { ...fields, input: 0, output: 0, total: 0, cacheRead: 0, cacheWrite: 0, messages: 0, cost: 0 });
+        const row = rows.get(rowKey);
+        for (const key of ['input', 'output', 'total', 'cacheRead', 'cacheWrite']) row[key] += data[key] || 0;
+        row.messages = messages === null || row.messages === null ? null : row.messages + messages;
+        row.cost += cost;
+    };
+
+    if (granularity === 'day' || granularity === 'week' || granularity === 'month') {
+        for (const [dayKey, dayData] of Object.entries(getUsage().byDay)) {
+            if (!inRange(dayKey)) continue;
+            const [year, month, day] = dayKey.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+            const key = granularity === 'day' ? dayKey : granularity === 'week' ? getWeekKey(date) : getMonthKey(date);
+
+            if (!withModel) {
+                addToRow(key, { key }, dayData, dayData.messageCount || 0, toCurrency(calculateDayCost(dayData, dayKey), dayKey));
+                continue;
+            }
+            for (const [modelId, modelData] of Object.entries(dayData.models || {})) {
+                const model = resolveModelAlias(modelId);
+                // Model buckets from before per-model message counts have none
+                const messages = modelData.messageCount ?? null;
+                addToRow(`${key}|${model}`, { key, model }, modelData, messages, toCurrency(calculateDayModelCost(modelData, modelId, dayKey), dayKey));
+            }
+        }
+    } else {
+        for (const entry of getUsage().ledger) {
+            const date = new Date(entry.timestamp);
+            const dayKey = getDayKey(date);
+            if (!inRange(dayKey)) continue;
+
+            const model = resolveModelAlias(entry.model) || 'unknown';
+            const key = { hour: getHourKey(date), model, chat: entry.chatId || '', request: entry.timestamp }[granularity];
+            const rowKey = granularity === 'request' ? entry.id : withModel ? `${key}|${model}` : key;
+            const fields = { key, model, chat: entry.chatId || '', type: entry.type };
+            const data = { input: entry.input, output: entry.output, total: entry.input + entry.output, cacheRead: entry.cacheRead, cacheWrite: entry.cacheWrite };
+            addToRow(rowKey, fields, data, 1, toCurrency(calculateEntryCost(entry), dayKey));
+        }
+    }
+
+    const sortedRows = [...rows.values()];
+    if (granularity === 'model' || granularity === 'chat') {
+        sortedRows.sort((a, b) => b.total - a.total);
+    } else {
+        sortedRows.sort((a, b) => a.key.localeCompare(b.key) || (a.model || '').localeCompare(b.model || ''));
+    }
+
+    const keyLabels = { hour: 'Hour', day: 'Day', week: 'Week', month: 'Month', model: 'Model', chat: 'Chat', request: 'Time' };
+    const header = [keyLabels[granularity]];
+    if (withModel) header.push('Model');
+    if (granularity === 'request') header.push('Chat', 'Type');
+    if (columns.includes('tokens')) header.push('Input tokens', 'Output tokens', 'Total tokens', 'Cache read tokens', 'Cache write tokens');
+    if (columns.includes('messages') && granularity !== 'request') header.push('Messages');
+    if (columns.includes('cost')) header.push(`Cost (${currency})`);
+
+    const delimiter = decimalSeparator === ',' ? ';' : ',';
+    const escapeField = (value) => {
+        const text = String(value ?? '');
+        return /["\n\r]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [header];
+    for (const row of sortedRows) {
+        const line = [row.key];
+        if (withModel) line.push(row.model);
+        if (granularity === 'request') line.push(row.chat, row.type);
+        if (columns.includes('tokens')) line.push(row.input, row.output, row.total, row.cacheRead, row.cacheWrite);
+        if (columns.includes('messages') && granularity !== 'request') line.push(row.messages ?? '');
+        if (columns.includes('cost')) line.push(row.cost.toFixed(decimals).replace('.', decimalSeparator));
+        lines.push(line);
+    }
+
+    return {
+        csv: lines.map(line => line.map(escapeField).join(delimiter)).join('\r\n'),
+        rowCount: sortedRows.length,
+    };
+}
+
+/**
+ * Build a usage CSV and download it
+ * @param {Object} [options] - See buildUsageCsv()
+ * @returns {number} Number of data rows exported
+ */
+function exportUsageCsv(options = {}) {
+    // Leave out unset options so buildUsageCsv() defaults apply
+    const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && !Number.isNaN(value)));
+    const { csv, rowCount } = buildUsageCsv(definedOptions);
+    const range = [options.startDate, options.endDate].filter(Boolean).join('_to_') || 'all';
+    downloadFile(csv, `token-usage-${options.granularity || 'day'}-${range}.csv`, 'text/csv');
+    // @ts-ignore
+    toastr.success(`Exported ${rowCount} rows`);
+    return rowCount;
+}
+
+/**
+ * Show the CSV export options and export on confirm
+ */
+async function showCsvExportPopup() {
+    const settings = getSettings();
+    let capturedOptions = null;
+
+    const popupContent = `
+        <div style="display: flex; flex-direction: column; gap: 10px; text-align: left; font-size: 12px;">
+            <h3 style="margin: 0;"><i class="fa-solid fa-file-csv"></i> Export CSV</h3>
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <span style="width: 90px;">Rows</span>
+                <select id="tut-csv-granularity" class="text_pole" style="flex: 1; padding: 4px 8px;">
+                    ${Object.entries(CSV_GRANULARITIES).map(([value, label]) => `<option value="${value}" ${value === 'day' ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <span style="width: 90px;">From</span>
+                <input type="date" id="tut-csv-start" class="text_pole" style="flex: 1; padding: 4px 8px;">
+                <span>to</span>
+                <input type="date" id="tut-csv-end" class="text_pole" style="flex: 1; padding: 4px 8px;">
+            </div>
+            <div style="display: flex; align-items: center; gap: 12px; flex-wrap: wrap;">
+                <span style="width: 90px;">Columns</span>
+                ${Object.entries(CSV_COLUMNS).map(([value, label]) => `
+                    <label class="checkbox_label">
+                        <input type="checkbox" class="tut-csv-column" value="${value}" ${value !== 'model' ? 'checked' : ''}>
+                        <span>${label}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <span style="width: 90px;">Cost in</span>
+                <select id="tut-csv-currency" class="text_pole" style="width: auto; padding: 4px 8px;">
+                    ${Object.keys(CURRENCIES).filter(code => hasExchangeRate(code)).map(code => `<option value="${code}" ${code === settings.currency ? 'selected' : ''}>${code}</option>`).join('')}
+                </select>
+                <input type="number" id="tut-csv-decimals" class="text_pole" value="4" min="0" max="10" style="width: 60px; padding: 4px 8px;">
+                <span>decimals, separator</span>
+                <select id="tut-csv-separator" class="text_pole" style="width: auto; padding: 4px 8px;">
+                    <option value=".">1234.56</option>
+                    <option value=",">1234,56</option>
+                </select>
+            </div>
+            <div style="opacity: 0.6; font-size: 11px;">Hourly, per-model, per-chat and per-request rows come from the request ledger, which doesn't cover usage recorded before it existed.</div>
+        </div>
+    `;
+
+    const popup = new Popup(popupContent, POPUP_TYPE.TEXT, '', {
+        okButton: 'Export',
+        cancelButton: 'Cancel',
+        onClosing: (popup) => {
+            if (popup.result >= 1) {
+                capturedOptions = {
+                    granularity: String($('#tut-csv-granularity').val()),
+                    startDate: String($('#tut-csv-start').val() || '') || null,
+                    endDate: String($('#tut-csv-end').val() || '') || null,
+                    columns: $('.tut-csv-column:checked').map(function() { return String($(this).val()); }).get(),
+                    currency: String($('#tut-csv-currency').val()),
+                    decimals: parseInt(String($('#tut-csv-decimals').val())),
+                    decimalSeparator: String($('#tut-csv-separator').val()),
+                };
+            }
+            return true;
+        },
+    });
+
+    await popup.show();
+    if (!capturedOptions) return;
+
+    try {
+        exportUsageCsv(capturedOptions);
+    } catch (error) {
+        console.error('[Token Usage Tracker] CSV export error:', error);
+        // @ts-ignore
+        toastr.error('Failed to export CSV: ' + error.message);
+    }
+}
+
+// How conflicting buckets are combined when merging an import
+const IMPORT_STRATEGIES = {
+    add: 'Add imported numbers to existing ones',
+    keep: 'Keep existing data where both have it',
+    prefer: 'Prefer imported data where both have it',
+};
+
+const USAGE_BUCKET_MAPS = ['byDay', 'byHour', 'byWeek', 'byMonth', 'byChat', 'byModel', 'byType', 'bySource', 'byCharacter', 'byGroup'];
+
+/**
+ * Check that imported data looks like an export of this extension
+ * @param {Object} data - Parsed JSON
+ * @returns {string[]} Problems found (empty when the data is valid)
+ */
+function validateImportData(data) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isBucket = (value) => isObject(value) && ['input', 'output', 'total', 'messageCount'].every(key => value[key] === undefined || typeof value[key] === 'number');
+
+    if (!isObject(data)) return ['The file is not a JSON object'];
+    if (!isObject(data.usage)) return ['Missing usage data'];
+
+    if (data.usage.schemaVersion > USAGE_SCHEMA_VERSION) {
+        return [`The file was exported by a newer version of the extension (data format ${data.usage.schemaVersion}, this version reads up to ${USAGE_SCHEMA_VERSION})`];
+    }
+
+    const errors = [];
+    const usage = data.usage;
+    if (usage.allTime !== undefined && !isBucket(usage.allTime)) errors.push('allTime is not a usage bucket');
+    for (const key of USAGE_BUCKET_MAPS) {
+        if (usage[key] === undefined) continue;
+        if (!isObject(usage[key])) {
+            errors.push(`${key} is not an object`);
+            continue;
+        }
+        const invalidKeys = Object.keys(usage[key]).filter(bucketKey => !isBucket(usage[key][bucketKey]));
+        if (invalidKeys.length > 0) errors.push(`${key} has ${invalidKeys.length} invalid bucket(s), e.g. "${invalidKeys[0]}"`);
+    }
+    const invalidDays = Object.keys(isObject(usage.byDay) ? usage.byDay : {}).filter(dayKey => !/^\d{4}-\d{2}-\d{2}$/.test(dayKey));
+    if (invalidDays.length > 0) errors.push(`byDay has ${invalidDays.length} invalid day key(s), e.g. "${invalidDays[0]}"`);
+
+    if (usage.ledger !== undefined) {
+        if (!Array.isArray(usage.ledger)) {
+            errors.push('ledger is not an array');
+        } else {
+            const invalidEntries = usage.ledger.filter(entry => !isObject(entry) || !entry.id || isNaN(Date.parse(entry.timestamp))
+                || typeof entry.input !== 'number' || typeof entry.output !== 'number');
+            if (invalidEntries.length > 0) errors.push(`ledger has ${invalidEntries.length} invalid entries`);
+        }
+    }
+    for (const key of ['modelPrices', 'modelColors', 'exchangeRates']) {
+        if (data[key] !== undefined && !isObject(data[key])) errors.push(`${key} is not an object`);
+    }
+    return errors;
+}
+
+/**
+ * Fingerprint imported usage, so importing the same data again can be detected
+ * @param {Object} usage - Imported usage data
+ * @returns {string} 53-bit hash as hex
+ */
+function getImportFingerprint(usage) {
+    const text = JSON.stringify(usage);
+    // cyrb53
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Summarize imported usage and where it overlaps with existing usage
+ * @param {Object} existing - Existing usage data
+ * @param {Object} imported - Imported usage data, migrated to the current format (see normalizeUsage)
+ * @returns {Object} { firstDay, lastDay, allTime, ledgerEntries, models, chats, conflicts: { days, models, chats, ledgerEntries } }
+ */
+function summarizeImport(existing, imported) {
+    const days = Object.keys(imported.byDay || {}).sort();
+    const overlap = (key) => Object.keys(imported[key] || {}).filter(bucketKey => existing[key]?.[bucketKey]).sort();
+    const knownIds = new Set(existing.ledger.map(entry => entry.id));
+
+    return {
+        firstDay: days[0] || null,
+        lastDay: days[days.length - 1] || null,
+        allTime: imported.allTime || { input: 0, output: 0, total: 0, messageCount: 0 },
+        ledgerEntries: imported.ledger.length,
+        models: Object.keys(imported.byModel || {}).length,
+        chats: Object.keys(imported.byChat || {}).length,
+        conflicts: {
+            days: overlap('byDay'),
+            models: overlap('byModel'),
+            chats: overlap('byChat'),
+            ledgerEntries: imported.ledger.filter(entry => knownIds.has(entry.id)).length,
+        },
+    };
+}
+
+/**
+ * Show what an import contains and ask how to import it
+ * @param {string} fileName
+ * @param {Object} importData - Validated import file
+ * @param {Object} summary - From summarizeImport()
+ * @returns {Promise<{mode: string, strategy: string}|null>} The choice, or null if cancelled
+ */
+async function showImportPreviewPopup(fileName, importData, summary) {
+    let choice = null;
+    const { conflicts } = summary;
+    const listKeys = (keys) => keys.length === 0
+        ? '<span style="opacity: 0.6;">none</span>'
+        : escapeHtml(keys.slice(0, 8).join(', ')) + (keys.length > 8 ? ` and ${keys.length - 8} more` : '');
+    const row = (label, value) => `<tr><td style="padding: 2px 8px; opacity: 0.7;">${label}</td><td style="padding: 2px 8px;">${value}</td></tr>`;
+
+    const popupContent = `
+        <div style="display: flex; flex-direction: column; gap: 10px; text-align: left; font-size: 12px;">
+            <h3 style="margin: 0;"><i class="fa-solid fa-file-import"></i> Import ${escapeHtml(fileName)}</h3>
+            <table style="border-collapse: collapse;">
+                ${row('Exported', importData.exportDate ? new Date(importData.exportDate).toLocaleString() : 'unknown')}
+                ${row('Date range', summary.firstDay ? `${summary.firstDay} to ${summary.lastDay}` : 'no daily data')}
+                ${row('Tokens', `${formatNumberFull(summary.allTime.total || 0)} (${formatNumberFull(summary.allTime.input || 0)} in, ${formatNumberFull(summary.allTime.output || 0)} out)`)}
+                ${row('Messages', formatNumberFull(summary.allTime.messageCount || 0))}
+                ${row('Requests in ledger', formatNumberFull(summary.ledgerEntries))}
+                ${row('Models / chats', `${summary.models} / ${summary.chats}`)}
+            </table>
+            <div>
+                <div style="font-weight: 600; margin-bottom: 4px;">Already in your data</div>
+                <table style="border-collapse: collapse;">
+                    ${row(`Days (${conflicts.days.length})`, listKeys(conflicts.days))}
+                    ${row(`Models (${conflicts.models.length})`, listKeys(conflicts.models))}
+                    ${row(`Chats (${conflicts.chats.length})`, listKeys(conflicts.chats))}
+                    ${row('Requests', `${formatNumberFull(conflicts.ledgerEntries)} (always skipped when merging)`)}
+                </table>
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <select id="tut-import-mode" class="text_pole" style="width: auto; padding: 4px 8px;">
+                    <option value="merge">Merge with existing data</option>
+                    <option value="replace">Replace existing data</option>
+                </select>
+                <select id="tut-import-strategy" class="text_pole" style="flex: 1; padding: 4px 8px;">
+                    ${Object.entries(IMPORT_STRATEGIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            </div>
+        </div>
+    `;
+
+    const popup = new Popup(popupContent, POPUP_TYPE.TEXT, '', {
+        okButton: 'Import',
+        cancelButton: 'Cancel',
+        allowVerticalScrolling: true,
+        onOpen: () => {
+            $('#tut-import-mode').on('change', function() {
+                $('#tut-import-strategy').toggle($(this).val() === 'merge');
+            });
+        },
+        onClosing: (popup) => {
+            if (popup.result >= 1) {
+                choice = {
+                    mode: String($('#tut-import-mode').val()),
+                    strategy: String($('#tut-import-strategy').val()),
+                };
+            }
+            return true;
+        },
+    });
+
+    await popup.show();
+    return choice;
+}
+
+/**
+ * Import usage data from JSON file
+ * The file is validated and previewed first; a file whose usage was imported before is skipped.
+ */
+function importUsageData() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+
+    input.onchange = async (e) => {
+        const file = /** @type {HTMLInputElement} */ (e.target).files?.[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const importData = JSON.parse(text);
+
+            // Validate the imported data structure
+            const errors = validateImportData(importData);
+            if (errors.length > 0) {
+                // @ts-ignore
+                toastr.error(errors.map(error => escapeHtml(error)).join('<br>'), 'Invalid import file', { escapeHtml: false });
+                return;
+            }
+
+            const settings = getSettings();
+            const fingerprint = getImportFingerprint(importData.usage);
+            const previousImport = settings.importHistory.find(entry => entry.fingerprint === fingerprint);
+            if (previousImport) {
+                // @ts-ignore
+                toastr.info(`This data was already imported from ${previousImport.fileName} on ${new Date(previousImport.importedAt).toLocaleString()}`, 'Import skipped');
+                return;
+            }
+
+            // Exports from older versions go through the same migrations as stored data
+            const importedUsage = normalizeUsage(structuredClone(importData.usage));
+            const choice = await showImportPreviewPopup(file.name, importData, summarizeImport(getUsage(), importedUsage));
+            if (!choice) return;
+
+            if (choice.mode === 'merge') {
+                mergeImportedUsage(getUsage(), importedUsage, choice.strategy);
+            } else {
+                setUsage(importedUsage);
+            }
+
+            // Import model prices and colors
+            if (importData.modelPrices) {
+                for (const [modelId, prices] of Object.entries(importData.modelPrices)) {
+                    if (!settings.modelPrices[modelId]) {
+                        settings.modelPrices[modelId] = prices;
+                    }
+                }
+            }
+            if (importData.modelColors) {
+                for (const [modelId, color] of Object.entries(importData.modelColors)) {
+                    if (!settings.modelColors[modelId]) {
+                        settings.modelColors[modelId] = color;
+                    }
+                }
+            }
+            if (importData.exchangeRates) {
+                for (const [currency, rates] of Object.entries(importData.exchangeRates)) {
+                    if (!settings.exchangeRates[currency]) {
+                        settings.exchangeRates[currency] = rates;
+                    }
+                }
+            }
+
+            settings.importHistory.push({ fingerprint, fileName: file.name, importedAt: new Date().toISOString(), mode: choice.mode, strategy: choice.mode === 'merge' ? choice.strategy : null });
+            saveSettings();
+            startNewHistory(getUsage());
+            // Totals are derived from the (merged) baseline and ledger
+            rebuildUsageFromLedger();
+
+            // @ts-ignore
+            toastr.success(`Data imported successfully (${choice.mode === 'merge' ? `merged: ${choice.strategy}` : 'replaced'})`);
+            console.log('[Token Usage Tracker] Data imported from:', file.name);
+        } catch (error) {
+            console.error('[Token Usage Tracker] Import error:', error);
+            // @ts-ignore
+            toastr.error('Failed to import data: ' + error.message);
+        }
+    };
+
+    input.click();
+}
+
+/**
+ * Merge imported usage (migrated to the current format, see normalizeUsage) into existing usage
+ * Ledger entries are merged by ID and day, baselines by bucket; the aggregate buckets must be rebuilt afterwards.
+ * @param {Object} existing - Existing usage data
+ * @param {Object} imported - Imported usage data
+ * @param {string} [strategy] - An IMPORT_STRATEGIES key; for the ledger, a day that has requests on both sides is a conflict
+ */
+function mergeImportedUsage(existing, imported, strategy = 'add') {
+    const dayOf = (entry) => getDayKey(new Date(entry.timestamp));
+    const existingDays = new Set(existing.ledger.map(dayOf));
+    const importedDays = new Set(imported.ledger.map(dayOf));
+
+    if (strategy === 'prefer') {
+        existing.ledger = existing.ledger.filter(entry => !importedDays.has(dayOf(entry)));
+    }
+    const knownIds = new Set(existing.ledger.map(entry => entry.id));
+    for (const entry of imported.ledger) {
+        if (knownIds.has(entry.id)) continue;
+        if (strategy === 'keep' && existingDays.has(dayOf(entry))) continue;
+        existing.ledger.push(entry);
+    }
+    existing.ledger.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    // Usage without a ledger can't be replayed - keep it in the baseline, unless the import is a copy of data
+    // already in this history (re-exported or edited), whose baseline is counted already
+    const knownHistories = new Set([existing.historyId, ...(existing.pastHistoryIds || [])]);
+    const importedHistories = [imported.historyId, ...(imported.pastHistoryIds || [])].filter(Boolean);
+    const baselineKnown = importedHistories.some(id => knownHistories.has(id));
+    existing.pastHistoryIds = [...new Set([...(existing.pastHistoryIds || []), ...importedHistories])];
+    if (imported.baseline && !baselineKnown) {
+        if (!existing.baseline) {
+            const { ledger, baseline, schemaVersion, historyId, pastHistoryIds, ...emptyAggregates } = structuredClone(defaultUsage);
+            existing.baseline = emptyAggregates;
+        }
+        mergeUsageData(existing.baseline, imported.baseline, strategy);
+    }
+}
+
+/**
+ * Merge imported usage aggregates into existing aggregates
+ * @param {Object} existing - Existing usage aggregates
+ * @param {Object} imported - Imported usage aggregates
+ * @param {string} [strategy] - An IMPORT_STRATEGIES key, applied per bucket key
+ */
+function mergeUsageData(existing, imported, strategy = 'add') {
+    // Merge allTime
+    if (imported.allTime) {
+        existing.allTime.input += imported.allTime.input || 0;
+        existing.allTime.output += imported.allTime.output || 0;
+        existing.allTime.total += imported.allTime.total || 0;
+        existing.allTime.cacheRead = (existing.allTime.cacheRead || 0) + (imported.allTime.cacheRead || 0);
+        existing.allTime.cacheWrite = (existing.allTime.cacheWrite || 0) + (imported.allTime.cacheWrite || 0);
+        existing.allTime.messageCount += imported.allTime.messageCount || 0;
+    }
+
+    // Merge time-based buckets
+    const mergeBucket = (existingBucket, importedBucket) => {
+        for (const [key, data] of Object.entries(importedBucket || {})) {
+            if (existingBucket[key] && strategy === 'keep') continue;
+            if (existingBucket[key] && strategy === 'prefer') {
+                existingBucket[key] = structuredClone(data);
+                continue;
+            }
+            if (!existingBucket[key]) {
+                existingBucket[key] = { input: 0, output: 0, total: 0, messageCount: 0 };
+            }
+            existingBucket[key].input += data.input || 0;
+            existingBucket[key].output += data.output || 0;
+            existingBucket[key].total += data.total || 0;
+            existingBucket[key].cacheRead = (existingBucket[key].cacheRead || 0) + (data.cacheRead || 0);
+            existingBucket[key].cacheWrite = (existingBucket[key].cacheWrite || 0) + (data.cacheWrite || 0);
+            existingBucket[key].messageCount += data.messageCount || 0;
+            if (data.name) existingBucket[key].name = data.name;
+            if (data.lastUsed && !(existingBucket[key].lastUsed >= data.lastUsed)) existingBucket[key].lastUsed = data.lastUsed;
+
+            // Merge group members and per-day generation types recursively
+            if (data.members) {
+                if (!existingBucket[key].members) existingBucket[key].members = {};
+                mergeBucket(existingBucket[key].members, data.members);
+            }
+            if (data.types) {
+                if (!existingBucket[key].types) existingBucket[key].types = {};
+                mergeBucket(existingBucket[key].types, data.types);
+            }
+            if (data.composition) {
+                if (!existingBucket[key].composition) existingBucket[key].composition = {};
+                for (const [part, tokens] of Object.entries(data.composition)) {
+                    existingBucket[key].composition[part] = (existingBucket[key].composition[part] || 0) + (tokens || 0);
+                }
+            }
+
+            // Merge models within day data
+            if (data.models && existingBucket[key]) {
+                if (!existingBucket[key].models) existingBucket[key].models = {};
+                for (const [modelId, mData] of Object.entries(data.models)) {
+                    if (!existingBucket[key].models[modelId]) {
+                        existingBucket[key].models[modelId] = { input: 0, output: 0, total: 0 };
+                    }
+                    const existing = existingBucket[key].models[modelId];
+                    if (typeof mData === 'number') {
+                        existing.total += mData;
+                    } else {
+                        existing.input += mData.input || 0;
+                        existing.output += mData.output || 0;
+                        existing.total += mData.total || 0;
+                        existing.cacheRead = (existing.cacheRead || 0) + (mData.cacheRead || 0);
+                        existing.cacheWrite = (existing.cacheWrite || 0) + (mData.cacheWrite || 0);
+                        if (mData.messageCount) existing.messageCount = (existing.messageCount || 0) + mData.messageCount;
+                    }
+                }
+            }
+        }
+    };
+
+    mergeBucket(existing.byDay, imported.byDay);
+    mergeBucket(existing.byHour, imported.byHour);
+    mergeBucket(existing.byWeek, imported.byWeek);
+    mergeBucket(existing.byMonth, imported.byMonth);
+    mergeBucket(existing.byChat, imported.byChat);
+    if (!existing.byType) existing.byType = {};
+    mergeBucket(existing.byType, imported.byType);
+    if (!existing.bySource) existing.bySource = {};
+    mergeBucket(existing.bySource, imported.bySource);
+    if (!existing.byCharacter) existing.byCharacter = {};
+    if (!existing.byGroup) existing.byGroup = {};
+    mergeBucket(existing.byCharacter, imported.byCharacter);
+    mergeBucket(existing.byGroup, imported.byGroup);
+
+    if (!existing.byModel) existing.byModel = {};
+    mergeBucket(existing.byModel, imported.byModel);
+
+    // With keep/prefer the sums no longer add up; all-time, weekly and monthly totals are rebuilt from the days
+    if (strategy !== 'add') {
+        const emptyBucket = () => ({ input: 0, output: 0, total: 0, cacheRead: 0, cacheWrite: 0, messageCount: 0 });
+        existing.allTime = emptyBucket();
+        existing.byWeek = {};
+        existing.byMonth = {};
+        for (const [dayKey, data] of Object.entries(existing.byDay)) {
+            const [year, month, day] = dayKey.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+            for (const bucket of [existing.allTime, existing.byWeek[getWeekKey(date)] ??= emptyBucket(), existing.byMonth[getMonthKey(date)] ??= emptyBucket()]) {
+                for (const key of ['input', 'output', 'total', 'cacheRead', 'cacheWrite', 'messageCount']) {
+                    bucket[key] += data[key] || 0;
+                }
+            }
+        }
+    }
+}
+
+const BACKUP_SCHEDULES = {
+    off: 'Never (only before reset/restore)',
+    day: 'Daily',
+    week: 'Weekly',
+};
+
+const BACKUP_REASONS = {
+    scheduled: 'Scheduled',
+    manual: 'Manual',
+    reset: 'Before reset',
+    restore: 'Before restore',
+    migration: 'Before upgrade',
+};
+
+/**
+ * Encode text as base64, as the file upload endpoint expects
+ * @param {string} text
+ * @returns {string}
+ */
+function textToBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    // Chunked, so large backups don't overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Save a snapshot of the usage data to the user files area and drop the oldest beyond backupKeep
+ * @param {string} [reason] - A BACKUP_REASONS key
+ * @param {string} [keepPath] - Path of a backup that mustn't be dropped (e.g. the one being restored)
+ * @returns {Promise<Object>} The backup record
+ */
+async function createUsageBackup(reason = 'manual', keepPath = null) {
+    const settings = getSettings();
+    const now = new Date();
+    const fileName = `token-usage-backup-${now.toISOString().replace(/[:.]/g, '-')}.json`;
+
+    const response = await fetch('/api/files/upload', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ name: fileName, data: textToBase64(JSON.stringify(getExportData())) }),
+    });
+    if (!response.ok) {
+        throw new Error(`Upload failed (${response.status} ${response.statusText})`);
+    }
+    const { path } = await response.json();
+
+    const backup = {
+        path,
+        createdAt: now.toISOString(),
+        reason,
+        messageCount: getUsage().allTime.messageCount || 0,
+        total: getUsage().allTime.total || 0,
+    };
+    settings.backups.push(backup);
+    saveSettings();
+    console.log(`[Token Usage Tracker] Backup saved to ${path} (${reason})`);
+
+    await pruneUsageBackups(keepPath);
+    return backup;
+}
+
+/**
+ * Delete a backup file and forget it
+ * @param {Object} backup - Backup record
+ */
+async function deleteUsageBackup(backup) {
+    const response = await fetch('/api/files/delete', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ path: backup.path }),
+    });
+    // A file that's already gone only needs to be forgotten
+    if (!response.ok && response.status !== 404) {
+        throw new Error(`Delete failed (${response.status} ${response.statusText})`);
+    }
+
+    const settings = getSettings();
+    settings.backups = settings.backups.filter(item => item.path !== backup.path);
+    saveSettings();
+}
+
+/**
+ * Delete the oldest backups beyond the number to keep
+ * @param {string} [keepPath] - Path of a backup to leave alone even if it's among the oldest
+ */
+async function pruneUsageBackups(keepPath = null) {
+    const settings = getSettings();
+    const excess = settings.backups.length - Math.max(1, settings.backupKeep);
+    const candidates = settings.backups.filter(backup => backup.path !== keepPath);
+    for (const backup of candidates.slice(0, Math.max(0, excess))) {
+        try {
+            await deleteUsageBackup(backup);
+        } catch (error) {
+            console.warn(`[Token Usage Tracker] Could not delete old backup ${backup.path}:`, error);
+        }
+    }
+}
+
+/**
+ * Take the scheduled backup if there isn't one for the current day/week yet
+ */
+async function runScheduledBackup() {
+    const settings = getSettings();
+    if (settings.backupSchedule === 'off' || !hasRecordedUsage(getUsage())) return;
+
+    const periodKey = settings.backupSchedule === 'week' ? getWeekKey : getDayKey;
+    const lastScheduled = settings.backups.filter(backup => backup.reason === 'scheduled').at(-1);
+    if (lastScheduled && periodKey(new Date(lastScheduled.createdAt)) === periodKey(new Date())) return;
+
+    try {
+        await createUsageBackup('scheduled');
+    } catch (error) {
+        console.error('[Token Usage Tracker] Scheduled backup failed:', error);
+    }
+}
+
+/**
+ * Replace the usage data with a backup, snapshotting the current data first
+ * @param {Object} backup - Backup record
+ */
+async function restoreUsageBackup(backup) {
+    const response = await fetch(`/${backup.path.replace(/^\/+/, '')}`, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Backup file could not be read (${response.status} ${response.statusText})`);
+    }
+    const data = await response.json();
+    const errors = validateImportData(data);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    if (hasRecordedUsage(getUsage())) {
+        // The backup being restored may be the oldest; it isn't pruned to make room for this one
+        await createUsageBackup('restore', backup.path);
+    }
+    setUsage(startNewHistory(normalizeUsage(structuredClone(data.usage))));
+    rebuildUsageFromLedger();
+    console.log(`[Token Usage Tracker] Restored usage from ${backup.path}`);
+}
+
+/**
+ * Render the backup list for the backups popup
+ * @returns {string} HTML
+ */
+function renderBackupList() {
+    const backups = [...getSettings().backups].reverse();
+    if (backups.length === 0) {
+        return '<div style="opacity: 0.6; text-align: center; padding: 12px;">No backups yet</div>';
+    }
+
+    return backups.map(backup => `
+        <div class="backup-row" data-path="${escapeHtml(backup.path)}" style="display: flex; align-items: center; gap: 8px; padding: 6px 8px; border-bottom: 1px solid var(--SmartThemeBorderColor);">
+            <div style="flex: 1; display: flex; flex-direction: column;">
+                <span>${new Date(backup.createdAt).toLocaleString()} <span style="opacity: 0.6;">&middot; ${BACKUP_REASONS[backup.reason] || escapeHtml(backup.reason)}</span></span>
+                <span style="font-size: 11px; opacity: 0.6;">${formatTokens(backup.total)} tokens &middot; ${formatNumberFull(backup.messageCount)} messages</span>
+            </div>
+            <div class="menu_button backup-restore" title="Replace the current usage data with this backup" style="padding: 4px 8px; font-size: 12px;"><i class="fa-solid fa-clock-rotate-left"></i> Restore</div>
+            <div class="menu_button backup-delete" title="Delete this backup" style="padding: 4px 8px;"><i class="fa-solid fa-trash"></i></div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Show the saved backups with options to restore, delete or take a new one
+ */
+async function showBackupsPopup() {
+    const findBackup = (element) => getSettings().backups.find(backup => backup.path === $(element).closest('.backup-row').data('path'));
+
+    const popupContent = `
+        <div style="display: flex; flex-direction: column; gap: 10px; text-align: left; font-size: 12px; min-width: 420px;">
+            <div style="display: flex; align-items: center; justify-content: space-between;">
+                <h3 style="margin: 0;"><i class="fa-solid fa-clock-rotate-left"></i> Usage Backups</h3>
+                <button class="menu_button" id="tut-backup-now" style="padding: 4px 10px; margin: 0; font-size: 12px;">
+                    <i class="fa-solid fa-floppy-disk"></i> Back up now
+                </button>
+            </div>
+            <div id="tut-backup-list" style="max-height: 320px; overflow-y: auto; border: 1px solid var(--SmartThemeBorderColor); border-radius: 8px;">
+                ${renderBackupList()}
+            </div>
+        </div>
+    `;
+
+    const popup = new Popup(popupContent, POPUP_TYPE.TEXT, '', {
+        okButton: 'Close',
+        allowVerticalScrolling: true,
+        onOpen: () => {
+            $('#tut-backup-now').on('click', async () => {
+                try {
+                    await createUsageBackup('manual');
+                    $('#tut-backup-list').html(renderBackupList());
+                    // @ts-ignore
+                    toastr.success('Backup saved');
+                } catch (error) {
+                    // @ts-ignore
+                    toastr.error('Backup failed: ' + error.message);
+                }
+            });
+
+            $('#tut-backup-list').on('click', '.backup-restore', async function() {
+                const backup = findBackup(this);
+                if (!backup) return;
+                const confirmPopup = new Popup(
+                    `<h3>Restore the backup from ${new Date(backup.createdAt).toLocaleString()}?</h3><p>The current usage data is replaced. A backup of it is saved first.</p>`,
+                    POPUP_TYPE.CONFIRM, '', { okButton: 'Restore', cancelButton: 'Cancel' },
+                );
+                if (!await confirmPopup.show()) return;
+
+                try {
+                    await restoreUsageBackup(backup);
+                    $('#tut-backup-list').html(renderBackupList());
+                    // @ts-ignore
+                    toastr.success('Backup restored');
+                } catch (error) {
+                    console.error('[Token Usage Tracker] Restore error:', error);
+                    // @ts-ignore
+                    toastr.error('Failed to restore backup: ' + error.message);
+                }
+            });
+
+            $('#tut-backup-list').on('click', '.backup-delete', async function() {
+                const backup = findBackup(this);
+                if (!backup) return;
+                try {
+                    await deleteUsageBackup(backup);
+                    $('#tut-backup-list').html(renderBackupList());
+                } catch (error) {
+                    // @ts-ignore
+                    toastr.error('Failed to delete backup: ' + error.message);
+                }
+            });
+        },
+    });
+
+    await popup.show();
+}
+
+/**
+ * Remember that a chat was deleted, so its per-chat usage can be dropped once the retention period has passed
+ * @param {string} chatId - Chat ID (a character chat's file name, with or without .jsonl, or a group chat ID)
+ */
+function markChatDeleted(chatId) {
+    if (!chatId) return;
+    getSettings().deletedChats[String(chatId).replace(/\.jsonl$/, '')] = new Date().toISOString();
+    saveSettings();
+}
+
+/**
+ * Mark the chats of a deleted character as deleted
+ * @param {Object} data - CHARACTER_DELETED event data: { id, character }
+ */
+function handleCharacterDeleted(data) {
+    const avatar = data?.character?.avatar;
+    if (!avatar) return;
+    const chatIds = new Set(getUsage().ledger.filter(entry => entry.characterId === avatar && !entry.groupId && entry.chatId).map(entry => entry.chatId));
+    for (const chatId of chatIds) {
+        markChatDeleted(chatId);
+    }
+}
+
+/**
+ * Drop hourly buckets and the per-chat buckets of deleted chats that are past their retention period.
+ * The baseline is pruned too, so a rebuild doesn't bring them back.
+ * @param {Object} usage - Usage data object
+ * @param {Object} [retention] - { retainHourlyDays, retainDeletedChatMonths }, defaults to the settings
+ * @returns {{hours: number, chats: number}} Number of buckets dropped
+ */
+function pruneExpiredBuckets(usage, retention = getSettings()) {
+    const removed = { hours: 0, chats: 0 };
+    const now = new Date();
+    const targets = [usage, usage.baseline].filter(Boolean);
+
+    if (retention.retainHourlyDays > 0) {
+        const cutoff = getHourKey(new Date(now.getTime() - retention.retainHourlyDays * 24 * 60 * 60 * 1000));
+        for (const target of targets) {
+            for (const hourKey of Object.keys(target.byHour || {})) {
+                if (hourKey >= cutoff) continue;
+                delete target.byHour[hourKey];
+                if (target === usage) removed.hours++;
+            }
+        }
+    }
+
+    if (retention.retainDeletedChatMonths > 0) {
+        const cutoffDate = new Date(now);
+        cutoffDate.setMonth(cutoffDate.getMonth() - retention.retainDeletedChatMonths);
+        const cutoff = cutoffDate.toISOString();
+        // The marks are kept: ledger entries of the chat would bring its bucket back on a rebuild
+        for (const [chatId, deletedAt] of Object.entries(getSettings().deletedChats)) {
+            if (deletedAt >= cutoff) continue;
+            for (const target of targets) {
+                if (!target.byChat?.[chatId]) continue;
+                delete target.byChat[chatId];
+                if (target === usage) removed.chats++;
+            }
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Fold the oldest ledger entries beyond a cap into the baseline. Totals stay the same;
+ * the folded requests lose their per-request detail and their cost is estimated from the day's token totals.
+ * @param {Object} usage - Usage data object
+ * @param {number} maxEntries - Ledger entries to keep (0 = no cap)
+ * @returns {number} Number of entries folded
+ */
+function foldOldLedgerEntries(usage, maxEntries) {
+    const excess = usage.ledger.length - maxEntries;
+    if (maxEntries <= 0 || excess <= 0) return 0;
+
+    const { ledger, baseline, schemaVersion, historyId, pastHistoryIds, ...emptyAggregates } = structuredClone(defaultUsage);
+    usage.baseline = Object.assign(emptyAggregates, usage.baseline);
+    for (const entry of usage.ledger.splice(0, excess)) {
+        applyEntryToUsage(usage.baseline, entry);
+    }
+    return excess;
+}
+
+/**
+ * Apply the retention settings to the usage data and report the space reclaimed.
+ * All-time, daily, weekly, monthly and per-model totals are unchanged.
+ * @param {Object} [retention] - { retainHourlyDays, retainDeletedChatMonths, maxLedgerEntries }, defaults to the settings
+ * @returns {{hours: number, chats: number, entries: number, reclaimedBytes: number}}
+ */
+function compactUsage(retention = getSettings()) {
+    const settings = getSettings();
+    const usage = getUsage();
+    const sizeOf = () => new Blob([JSON.stringify(usage)]).size;
+    const sizeBefore = sizeOf();
+
+    const entries = foldOldLedgerEntries(usage, retention.maxLedgerEntries);
+    if (entries > 0) startNewHistory(usage);
+    const { hours, chats } = pruneExpiredBuckets(usage, retention);
+    const reclaimedBytes = Math.max(0, sizeBefore - sizeOf());
+
+    if (entries > 0 || hours > 0 || chats > 0) {
+        saveUsage();
+        eventSource.emit('tokenUsageUpdated', getUsageStats());
+    }
+    settings.lastCompaction = { at: new Date().toISOString(), reclaimedBytes };
+    saveSettings();
+
+    console.log(`[Token Usage Tracker] Compaction dropped ${hours} hourly and ${chats} chat buckets, folded ${entries} ledger entries, reclaimed ${formatBytes(reclaimedBytes)}`);
+    return { hours, chats, entries, reclaimedBytes };
+}
+
 /**
- * Export usage data as JSON
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
  */
-function exportUsageData() {
-    const settings = getSettings();
-    const exportData = {
-        exportDate: new Date().toISOString(),
-        usage: settings.usage,
-        modelPrices: settings.modelPrices,
-        modelColors: settings.modelColors
-    };
-
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `token-usage-export-${getDayKey()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    // @ts-ignore
-    toastr.success('Data exported');
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    if (bytes >= 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return bytes + ' B';
 }
 
 /**
- * Import usage data from JSON file
+ * Periodic housekeeping: the scheduled backup, then compaction (on startup and once a day)
+ * @param {boolean} [startup] - Whether this is the run on page load
  */
-function importUsageData() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
-
-    input.onchange = async (e) => {
-        const file = /** @type {HTMLInputElement} */ (e.target).files?.[0];
-        if (!file) return;
-
-        try {
-            const text = await file.text();
-            const importData = JSON.parse(text);
+async function runMaintenance(startup = false) {
+    // Backup first, so it still has what compaction drops
+    await runScheduledBackup();
 
-            // Validate the imported data structure
-            if (!importData.usage) {
-                // @ts-ignore
-                toastr.error('Invalid import file: missing usage data');
-                return;
-            }
+    const lastCompaction = getSettings().lastCompaction;
+    if (startup === true || !lastCompaction || getDayKey(new Date(lastCompaction.at)) !== getDayKey()) {
+        compactUsage();
+    }
+}
 
-            const settings = getSettings();
+/**
+ * Convert a glob pattern (* and ? wildcards) to a case-insensitive RegExp
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const escaped = String(glob).replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
 
-            // Ask user how to handle the import
-            const mergeChoice = confirm(
-                'How would you like to import the data?\n\n' +
-                'OK = Merge (add imported data to existing data)\n' +
-                'Cancel = Replace (overwrite existing data with imported data)'
-            );
+const BUDGET_SCOPES = {
+    global: 'Everything',
+    model: 'Model',
+    chat: 'Chat',
+    character: 'Character',
+    profile: 'Connection profile',
+};
 
-            if (mergeChoice) {
-                // Merge mode
-                mergeUsageData(settings.usage, importData.usage);
-            } else {
-                // Replace mode
-                settings.usage = importData.usage;
-            }
+const BUDGET_WINDOWS = {
+    day: 'Today',
+    week: 'This week',
+    month: 'This month',
+    rolling7: 'Last 7 days',
+    rolling30: 'Last 30 days',
+};
 
-            // Import model prices and colors
-            if (importData.modelPrices) {
-                for (const [modelId, prices] of Object.entries(importData.modelPrices)) {
-                    if (!settings.modelPrices[modelId]) {
-                        settings.modelPrices[modelId] = prices;
-                    }
-                }
-            }
-            if (importData.modelColors) {
-                for (const [modelId, color] of Object.entries(importData.modelColors)) {
-                    if (!settings.modelColors[modelId]) {
-                        settings.modelColors[modelId] = color;
-                    }
-                }
-            }
+/**
+ * Get the start of a budget's time window
+ * @param {string} window - Budget window
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function getBudgetWindowStart(window, now = new Date()) {
+    switch (window) {
+        case 'week':
+            return getWeekStartDate(now);
+        case 'month':
+            return new Date(now.getFullYear(), now.getMonth(), 1);
+        case 'rolling7':
+            return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+        case 'rolling30':
+            return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        case 'day':
+        default:
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+}
 
-            saveSettings();
-            eventSource.emit('tokenUsageUpdated', getUsageStats());
+/**
+ * Check whether a request (ledger entry or pending request) falls under a budget's scope
+ * Models are compared by their canonical ID, so a budget for a model also covers its aliases.
+ * @param {Object} budget
+ * @param {{model?: string|null, chatId?: string|null, characterId?: string|null, profileId?: string|null}} request
+ * @returns {boolean}
+ */
+function budgetMatchesRequest(budget, request) {
+    switch (budget.scope) {
+        case 'global':
+            return true;
+        case 'model':
+            return Boolean(request.model) && globToRegExp(budget.scopeValue || '*').test(resolveModelAlias(request.model));
+        case 'chat':
+            return Boolean(request.chatId) && request.chatId === budget.scopeValue;
+        case 'character':
+            return Boolean(request.characterId) && request.characterId === budget.scopeValue;
+        case 'profile':
+            return Boolean(request.profileId) && request.profileId === budget.scopeValue;
+        default:
+            return false;
+    }
+}
 
-            // @ts-ignore
-            toastr.success(`Data imported successfully (${mergeChoice ? 'merged' : 'replaced'})`);
-            console.log('[Token Usage Tracker] Data imported from:', file.name);
-        } catch (error) {
-            console.error('[Token Usage Tracker] Import error:', error);
-            // @ts-ignore
-            toastr.error('Failed to import data: ' + error.message);
+/**
+ * Get a budget's current usage
+ * Global budgets read the daily buckets (which include usage recorded before the ledger existed);
+ * scoped budgets read the ledger, since only ledger entries know their chat/character/profile.
+ * Daily buckets have no time of day, so global rolling windows include their whole first day.
+ * @param {Object} budget
+ * @returns {{used: number, limit: number, percent: number}}
+ */
+function getBudgetUsage(budget) {
+    const windowStart = getBudgetWindowStart(budget.window);
+    let used = 0;
+
+    if (budget.scope === 'global') {
+        const startKey = getDayKey(windowStart);
+        for (const [dayKey, dayData] of Object.entries(getUsage().byDay)) {
+            if (dayKey < startKey) continue;
+            used += budget.limitType === 'tokens' ? (dayData.total || 0) : calculateDayCost(dayData, dayKey);
         }
-    };
+    } else {
+        const startTime = windowStart.toISOString();
+        for (const entry of getUsage().ledger) {
+            if (entry.timestamp < startTime || !budgetMatchesRequest(budget, entry)) continue;
+            used += budget.limitType === 'tokens' ? entry.input + entry.output : calculateEntryCost(entry);
+        }
+    }
 
-    input.click();
+    const limit = Number(budget.limit) || 0;
+    return { used, limit, percent: limit > 0 ? (used / limit) * 100 : 0 };
 }
 
 /**
- * Merge imported usage data into existing usage data
- * @param {Object} existing - Existing usage data
- * @param {Object} imported - Imported usage data
+ * Format a budget amount according to its limit type
+ * @param {Object} budget
+ * @param {number} value
+ * @returns {string}
  */
-function mergeUsageData(existing, imported) {
-    // Merge allTime
-    if (imported.allTime) {
-        existing.allTime.input += imported.allTime.input || 0;
-        existing.allTime.output += imported.allTime.output || 0;
-        existing.allTime.total += imported.allTime.total || 0;
-        existing.allTime.messageCount += imported.allTime.messageCount || 0;
-    }
+function formatBudgetValue(budget, value) {
+    return budget.limitType === 'tokens' ? formatTokens(Math.round(value)) : formatCost(value);
+}
 
-    // Merge time-based buckets
-    const mergeBucket = (existingBucket, importedBucket) => {
-        for (const [key, data] of Object.entries(importedBucket || {})) {
-            if (!existingBucket[key]) {
-                existingBucket[key] = { input: 0, output: 0, total: 0, messageCount: 0 };
-            }
-            existingBucket[key].input += data.input || 0;
-            existingBucket[key].output += data.output || 0;
-            existingBucket[key].total += data.total || 0;
-            existingBucket[key].messageCount += data.messageCount || 0;
+/**
+ * Check budget warnings after usage was recorded
+ */
+function checkWarnings() {
+    const settings = getSettings();
 
-            // Merge models within day data
-            if (data.models && existingBucket[key]) {
-                if (!existingBucket[key].models) existingBucket[key].models = {};
-                for (const [modelId, mData] of Object.entries(data.models)) {
-                    if (!existingBucket[key].models[modelId]) {
-                        existingBucket[key].models[modelId] = { input: 0, output: 0, total: 0 };
-                    }
-                    const existing = existingBucket[key].models[modelId];
-                    if (typeof mData === 'number') {
-                        existing.total += mData;
-                    } else {
-                        existing.input += mData.input || 0;
-                        existing.output += mData.output || 0;
-                        existing.total += mData.total || 0;
-                    }
-                }
-            }
-        }
-    };
+    for (const budget of settings.budgets) {
+        const { used, limit, percent } = getBudgetUsage(budget);
+        if (limit <= 0) continue;
 
-    mergeBucket(existing.byDay, imported.byDay);
-    mergeBucket(existing.byHour, imported.byHour);
-    mergeBucket(existing.byWeek, imported.byWeek);
-    mergeBucket(existing.byMonth, imported.byMonth);
-    mergeBucket(existing.byChat, imported.byChat);
+        const label = budget.name || `${BUDGET_WINDOWS[budget.window]} budget`;
+        const amounts = `${formatBudgetValue(budget, used)} / ${formatBudgetValue(budget, limit)}`;
 
-    // Merge byModel
-    for (const [modelId, data] of Object.entries(imported.byModel || {})) {
-        if (!existing.byModel[modelId]) {
-            existing.byModel[modelId] = { input: 0, output: 0, total: 0, messageCount: 0 };
+        if (percent >= (budget.criticalPercent || 100)) {
+            // @ts-ignore
+            toastr.error(`${label} has been reached! Current: ${amounts}`, 'Budget Alert');
+        } else if (percent >= (budget.warnPercent || 80)) {
+            // @ts-ignore
+            toastr.warning(`Approaching ${label} (${Math.round(percent)}%). Current: ${amounts}`, 'Budget Warning');
         }
-        existing.byModel[modelId].input += data.input || 0;
-        existing.byModel[modelId].output += data.output || 0;
-        existing.byModel[modelId].total += data.total || 0;
-        existing.byModel[modelId].messageCount += data.messageCount || 0;
     }
 }
 
 /**
- * Check budget/threshold warnings
+ * List the budgets a pending request would exceed
+ * A budget that is already used up counts as exceeded even if the request's price is unknown.
+ * @param {number} inputTokens - Estimated prompt tokens of the pending request
+ * @param {Object} request - Pending request scope: { model, chatId, characterId, profileId }
+ * @returns {string[]} Human-readable descriptions of the exceeded budgets
  */
-function checkWarnings() {
+function getBudgetOverruns(inputTokens, request) {
     const settings = getSettings();
-    const stats = getUsageStats();
-
-    // Daily token warning
-    if (settings.warningThreshold > 0 && stats.today.total >= settings.warningThreshold) {
-        // @ts-ignore
-        toastr.warning(`Daily token usage (${formatTokens(stats.today.total)}) has reached the warning threshold!`, 'Token Usage Warning');
+    const estimatedCost = calculateCost(inputTokens, 0, request.model);
+    const overruns = [];
+
+    for (const budget of settings.budgets) {
+        if (!budgetMatchesRequest(budget, request)) continue;
+
+        const { used, limit } = getBudgetUsage(budget);
+        const criticalLimit = limit * ((budget.criticalPercent || 100) / 100);
+        const estimate = budget.limitType === 'tokens' ? inputTokens : estimatedCost;
+        if (criticalLimit > 0 && (used >= criticalLimit || used + estimate > criticalLimit)) {
+            const label = budget.name || `${BUDGET_WINDOWS[budget.window]} budget`;
+            overruns.push(`${label}: ${formatBudgetValue(budget, used)} used + ~${budget.limitType === 'tokens' ? formatTokens(estimate) : formatCost(estimate, true)} / ${formatBudgetValue(budget, criticalLimit)}`);
+        }
     }
+    return overruns;
+}
 
-    // Monthly budget warning
-    if (settings.budgetLimit > 0) {
-        const now = new Date();
-        const currentMonthKey = getMonthKey(now);
-        let monthCost = 0;
-
-        for (const [dayKey, data] of Object.entries(settings.usage.byDay)) {
-            const [year, month, day] = dayKey.split('-').map(Number);
-            const date = new Date(year, month - 1, day);
+/**
+ * Enforce budgets before a request is sent
+ * Only the prompt is priced - the output length isn't known yet.
+ * @param {number} inputTokens - Estimated prompt tokens of the pending request
+ * @param {Object} request - Pending request scope: { model, chatId, characterId, profileId }
+ * @returns {Promise<boolean>} Whether the request may be sent
+ */
+async function checkBudgetBeforeRequest(inputTokens, request) {
+    const settings = getSettings();
+    if (settings.budgetEnforcement === 'off') return true;
 
-            if (getMonthKey(date) === currentMonthKey && data.models) {
-                for (const [mid, mData] of Object.entries(data.models)) {
-                    const mInput = typeof mData === 'number' ? 0 : (mData.input || 0);
-                    const mOutput = typeof mData === 'number' ? 0 : (mData.output || 0);
-                    monthCost += calculateCost(mInput, mOutput, mid);
-                }
-            }
-        }
+    const overruns = getBudgetOverruns(inputTokens, request);
+    if (overruns.length === 0) return true;
 
-        if (monthCost >= settings.budgetLimit) {
-            // @ts-ignore
-            toastr.error(`Monthly budget limit ($${settings.budgetLimit.toFixed(2)}) has been reached! Current: $${monthCost.toFixed(2)}`, 'Budget Alert');
-        } else if (monthCost >= settings.budgetLimit * 0.8) {
-            // @ts-ignore
-            toastr.warning(`Approaching monthly budget limit (80%). Current: $${monthCost.toFixed(2)} / $${settings.budgetLimit.toFixed(2)}`, 'Budget Warning');
-        }
+    if (settings.budgetEnforcement === 'block') {
+        // @ts-ignore
+        toastr.error(`Request blocked.\n${overruns.join('\n')}`, 'Budget Limit');
+        console.warn('[Token Usage Tracker] Request blocked by budget:', overruns);
+        return false;
     }
+
+    const confirmPopup = new Popup(
+        `<h3>Budget limit reached</h3>
+        <p>Sending this request (${formatNumberFull(inputTokens)} prompt tokens to ${escapeHtml(request.model || 'unknown')}) would exceed:</p>
+        <ul style="text-align: left;">${overruns.map(o => `<li>${escapeHtml(o)}</li>`).join('')}</ul>`,
+        POPUP_TYPE.CONFIRM, '', { okButton: 'Send anyway', cancelButton: 'Cancel' },
+    );
+    const allowed = Boolean(await confirmPopup.show());
+    if (!allowed) console.warn('[Token Usage Tracker] Request cancelled by user due to budget:', overruns);
+    return allowed;
 }
 
 // Chart state
@@ -2300,7 +6753,7 @@ function getChartData(days) {
             usage: dayData.total || 0,
             input: dayData.input || 0,
             output: dayData.output || 0,
-            models: dayData.models || {},
+            models: mergeModelBuckets(dayData.models),
             displayDate: new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric' }).format(date),
             fullDate: new Intl.DateTimeFormat('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }).format(date)
         });
@@ -2613,7 +7066,6 @@ function updateChartRange(range) {
  */
 function updateUIStats() {
     const stats = getUsageStats();
-    const now = new Date();
 
     // Today header
     $('#token-usage-today-total').text(formatTokens(stats.today.total));
@@ -2626,69 +7078,129 @@ function updateUIStats() {
     $('#token-usage-alltime-total').text(formatTokens(stats.allTime.total));
 
     // Cost calculations
-    const allTimeCost = calculateAllTimeCost();
+    $('#token-usage-alltime-cost').text(formatCost(calculateAllTimeCost()));
 
-    if (allTimeCost > 0) {
-        $('#token-usage-alltime-cost').text(`$${allTimeCost.toFixed(2)}`);
-    } else {
-        $('#token-usage-alltime-cost').text('$0.00');
-    }
+    // Week/Month/Today: each day is costed at the prices and exchange rates in force on that day
+    const periodCosts = calculatePeriodCosts();
+    $('#token-usage-week-cost').text(formatCost(periodCosts.week));
+    $('#token-usage-month-cost').text(formatCost(periodCosts.month));
+    $('#token-usage-today-cost').text(formatCost(periodCosts.today));
 
-    // For Week/Month: We iterate all `byDay` keys and match those that belong to current week/month
-    const currentWeekKey = getWeekKey(now);
-    const currentMonthKey = getMonthKey(now);
-    const todayKey = getDayKey(now);
+    $('#token-usage-tokenizer').text('Tokenizer: ' + (stats.tokenizer || 'Unknown'));
+
+    renderBudgetProgress();
+
+    // Update chart data
+    chartData = getChartData(currentChartRange);
+    renderChart();
+}
 
-    let weekCost = 0;
-    let monthCost = 0;
-    let todayCost = 0;
 
+/**
+ * Mount, update or remove the top bar counter according to the showInTopBar setting
+ * Shows today's tokens and cost; clicking it opens the detailed stats popup.
+ */
+function updateTopBarCounter() {
     const settings = getSettings();
-    for (const [dayKey, data] of Object.entries(settings.usage.byDay)) {
-        // Parse dayKey (YYYY-MM-DD) as local date, not UTC
-        // new Date("2026-01-01") interprets as UTC, which shifts timezone
-        const [year, month, day] = dayKey.split('-').map(Number);
-        const date = new Date(year, month - 1, day);
+    let counter = document.getElementById('token-usage-topbar');
 
-        // Week check
-        if (getWeekKey(date) === currentWeekKey) {
-            // Calculate cost for this day using per-model input/output breakdown
-            if (data.models) {
-                for (const [mid, modelData] of Object.entries(data.models)) {
-                    // modelData is now { input, output, total } (or number for legacy data)
-                    const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-                    const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-                    const cost = calculateCost(mInput, mOutput, mid);
-                    weekCost += cost;
-                    if (dayKey === todayKey) {
-                        todayCost += cost;
-                    }
-                }
-            }
-        }
-        // Month check
-        if (getMonthKey(date) === currentMonthKey) {
-             if (data.models) {
-                 for (const [mid, modelData] of Object.entries(data.models)) {
-                     const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-                     const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-                     monthCost += calculateCost(mInput, mOutput, mid);
-                 }
-            }
-        }
+    if (!settings.showInTopBar) {
+        counter?.remove();
+        return;
     }
 
-    $('#token-usage-week-cost').text(`$${weekCost.toFixed(2)}`);
-    $('#token-usage-month-cost').text(`$${monthCost.toFixed(2)}`);
-    $('#token-usage-today-cost').text(`$${todayCost.toFixed(2)}`);
+    if (!counter) {
+        const holder = document.getElementById('top-settings-holder') || document.getElementById('top-bar');
+        if (!holder) return;
+
+        counter = document.createElement('div');
+        counter.id = 'token-usage-topbar';
+        counter.className = 'token-usage-topbar interactable';
+        counter.tabIndex = 0;
+        counter.title = 'Token usage today - click for details';
+        counter.innerHTML = `
+            <i class="fa-solid fa-coins"></i>
+            <span id="token-usage-topbar-tokens">0</span>
+            <span id="token-usage-topbar-cost" class="token-usage-topbar-cost">$0.00</span>
+        `;
+        counter.addEventListener('click', () => showDetailedStatsPopup());
+        holder.appendChild(counter);
+    }
 
-    $('#token-usage-tokenizer').text('Tokenizer: ' + (stats.tokenizer || 'Unknown'));
+    const stats = getUsageStats();
+    $('#token-usage-topbar-tokens').text(formatTokens(stats.today.total));
+    $('#token-usage-topbar-cost').text(formatCost(calculateDayCost(stats.today)));
+}
 
-    // Update chart data
-    chartData = getChartData(currentChartRange);
-    renderChart();
+/**
+ * Store a request's usage on the chat message (and its current swipe), so each reply keeps its own numbers
+ * @param {Object} message - Chat message the request produced
+ * @param {Object} entry - Ledger entry of the request
+ * @param {boolean} [accumulate=false] - Add to the existing numbers instead of replacing them (continues)
+ */
+function attachUsageToMessage(message, entry, accumulate = false) {
+    if (!message.extra) message.extra = {};
+    const previous = accumulate ? message.extra.token_usage : null;
+
+    const tokenUsage = {
+        ledgerIds: [...(previous?.ledgerIds || []), entry.id],
+        model: entry.model,
+        input: (previous?.input || 0) + entry.input,
+        output: (previous?.output || 0) + entry.output,
+        // USD, like the ledger; converted for display at the rate of the day it was spent
+        cost: (previous?.cost || 0) + (entry.cost || 0),
+        day: getDayKey(new Date(entry.timestamp)),
+        // A mix of reported and estimated counts is still an estimate
+        countSource: previous && previous.countSource !== entry.countSource ? 'estimated' : entry.countSource,
+    };
+    message.extra.token_usage = tokenUsage;
+
+    // SillyTavern restores message.extra from swipe_info when swiping, so the swipe needs its own copy
+    const swipeInfo = message.swipe_info?.[message.swipe_id ?? 0];
+    if (swipeInfo) {
+        if (!swipeInfo.extra) swipeInfo.extra = {};
+        swipeInfo.extra.token_usage = structuredClone(tokenUsage);
+    }
+
+    saveChatDebounced();
+}
+
+/**
+ * Show (or refresh) the token/cost badge next to a message's timestamp
+ * @param {number} messageIndex - Index of the message in the chat array
+ */
+function renderMessageBadge(messageIndex) {
+    const settings = getSettings();
+    const messageElement = $(`#chat .mes[mesid="${messageIndex}"]`);
+    messageElement.find('.token-usage-badge').remove();
+
+    const tokenUsage = getContext().chat[messageIndex]?.extra?.token_usage;
+    if (!settings.showMessageBadges || !tokenUsage) return;
+
+    const prefix = tokenUsage.countSource === 'reported' ? '' : '~';
+    const cost = formatCost(convertCurrency(tokenUsage.cost || 0, 'USD', settings.currency, tokenUsage.day), true);
+    const costText = settings.showCostEstimates ? ` · ${cost}` : '';
+    const badge = $('<small class="token-usage-badge"></small>')
+        .text(`${prefix}${formatTokens(tokenUsage.input)} → ${prefix}${formatTokens(tokenUsage.output)}${costText}`)
+        .attr('title', [
+            `Prompt: ${formatNumberFull(tokenUsage.input)} tokens`,
+            `Completion: ${formatNumberFull(tokenUsage.output)} tokens`,
+            `Model: ${tokenUsage.model || 'unknown'}`,
+            `Cost: ${cost}`,
+            tokenUsage.countSource === 'reported' ? 'Reported by provider' : 'Estimated with local tokenizer',
+        ].join('\n'));
+    messageElement.find('.timestamp').first().after(badge);
 }
 
+/**
+ * Render badges for every message in the current chat
+ */
+function renderAllMessageBadges() {
+    const chat = getContext().chat || [];
+    for (let i = 0; i < chat.length; i++) {
+        if (!chat[i].is_user) renderMessageBadge(i);
+    }
+}
 
 /**
  * Create the settings UI in the extensions panel
@@ -2762,6 +7274,9 @@ function createSettingsUI() {
                         </div>
                     </div>
 
+                    <!-- Budget progress -->
+                    <div id="token-usage-budgets" style="display: none; flex-direction: column; gap: 6px; margin-bottom: 10px;"></div>
+
                     <!-- Controls -->
                     <div style="display: flex; align-items: center; gap: 8px; padding-left: 8px; margin-top: 8px;">
                         <div style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.4;" id="token-usage-tokenizer">Tokenizer: ${stats.tokenizer || 'Unknown'}</div>
@@ -2814,12 +7329,13 @@ function createSettingsUI() {
         });
     });
 
-    $('#token-usage-reset-all').on('click', function() {
-        if (confirm('Are you sure you want to reset ALL token usage data? This cannot be undone.')) {
-            resetAllUsage();
-            updateUIStats();
-            // @ts-ignore - toastr is a global variable
-            toastr.success('All stats reset');
+    $('#token-usage-reset-all').on('click', async function() {
+        if (confirm('Are you sure you want to reset ALL token usage data? A backup is saved first and can be restored from Backups.')) {
+            if (await resetAllUsage()) {
+                updateUIStats();
+                // @ts-ignore - toastr is a global variable
+                toastr.success('All stats reset');
+            }
         }
     });
 
@@ -2835,6 +7351,8 @@ function createSettingsUI() {
 
     // Subscribe to updates
     eventSource.on('tokenUsageUpdated', updateUIStats);
+    eventSource.on('tokenUsageUpdated', updateTopBarCounter);
+    updateTopBarCounter();
 
     // Handle container resize with ResizeObserver (handles panel width changes)
     const chartContainer = document.getElementById('token-usage-chart');
@@ -2863,63 +7381,14 @@ function createSettingsUI() {
 
 /**
  * Patch SillyTavern's background generation functions to track tokens
- * - generateQuiet / generate_quiet (Used by Summarize, generated prompts, etc.)
  * - ConnectionManagerRequestService.sendRequest (Used by extensions like Roadway)
+ * Quiet prompts (generateQuietPrompt) go through the regular generation events and are finished by the fetch wrapper.
+ * Every call is its own in-flight request, so overlapping calls are each recorded.
  */
-let isTrackingBackground = false;
-
 function patchBackgroundGenerations() {
-    patchGenerateQuietPrompt();
     patchConnectionManager();
 }
 
-function patchGenerateQuietPrompt() {
-    // For quiet generations (Guided Generations, Summarize, Expressions, etc.),
-    // MESSAGE_RECEIVED doesn't fire. Flush pending tokens on next generation or chat change.
-    eventSource.on(event_types.GENERATION_STARTED, async (type, params, dryRun) => {
-        if (dryRun) return;
-        if (isQuietGeneration && pendingInputTokensPromise) {
-            await flushQuietGeneration();
-        }
-    });
-
-    eventSource.on(event_types.CHAT_CHANGED, async () => {
-        if (isQuietGeneration && pendingInputTokensPromise) {
-            await flushQuietGeneration();
-        }
-    });
-}
-
-/**
- * Flush a pending quiet generation, recording tokens from what we have
- */
-async function flushQuietGeneration() {
-    if (!pendingInputTokensPromise) return;
-
-    try {
-        const inputTokens = await pendingInputTokensPromise;
-        const modelId = pendingModelId;
-
-        // Try to get output from streaming processor
-        let outputTokens = 0;
-        if (streamingProcessor?.result) {
-            outputTokens = await countTokens(streamingProcessor.result);
-        }
-
-        // Record the usage
-        if (inputTokens > 0 || outputTokens > 0) {
-            recordUsage(inputTokens, outputTokens, null, modelId);
-        }
-    } catch (e) {
-        console.error('[Token Usage Tracker] Error flushing quiet generation:', e);
-    } finally {
-        // Reset state
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
-        isQuietGeneration = false;
-    }
-}
-
 function patchConnectionManager() {
     // Poll for ConnectionManagerRequestService (used by Roadway and similar extensions)
     const checkInterval = setInterval(() => {
@@ -2937,35 +7406,37 @@ function patchConnectionManager() {
             const originalSendRequest = ServiceClass.sendRequest.bind(ServiceClass);
 
             ServiceClass.sendRequest = async function(profileId, messages, maxTokens, custom, overridePayload) {
-                if (isTrackingBackground) {
-                    return await originalSendRequest(profileId, messages, maxTokens, custom, overridePayload);
-                }
-
-                let inputTokens = 0;
                 const modelId = getCurrentModelId();
+                const request = startRequest('background', {
+                    chatId: null,
+                    modelId,
+                    attribution: { profileId: profileId || null },
+                    source: resolveRequestSource(new Error().stack, profileId),
+                    inputTokensPromise: countInputTokens({ prompt: messages }).catch(e => {
+                        console.error('[Token Usage Tracker] Error counting sendRequest input:', e);
+                        return 0;
+                    }),
+                });
 
                 try {
-                    isTrackingBackground = true;
-
-                    try {
-                        inputTokens = await countInputTokens({ prompt: messages });
-                    } catch (e) {
-                        console.error('[Token Usage Tracker] Error counting sendRequest input:', e);
+                    if (!await checkBudgetBeforeRequest(await request.inputTokensPromise, { model: modelId, chatId: null, characterId: null, profileId: profileId || null })) {
+                        throw new Error('Request blocked by Token Usage Tracker: budget limit exceeded');
                     }
 
+                    request.sentAt = Date.now();
                     /** @type {any} */
                     const result = await originalSendRequest(profileId, messages, maxTokens, custom, overridePayload);
 
                     try {
-                        let outputTokens = 0;
-                        if (result && typeof result.content === 'string') {
-                            outputTokens = await countTokens(result.content);
-                        } else if (typeof result === 'string') {
-                            outputTokens = await countTokens(result);
-                        }
-
-                        if (outputTokens > 0 || inputTokens > 0) {
-                            recordUsage(inputTokens, outputTokens, null, modelId);
+                        if (endRequest(request)) {
+                            const reported = await takeReportedUsage(request);
+                            let outputTokens = 0;
+                            if (!reported && result && typeof result.content === 'string') {
+                                outputTokens = await countTokens(result.content);
+                            } else if (!reported && typeof result === 'string') {
+                                outputTokens = await countTokens(result);
+                            }
+                            await recordRequestUsage(request, reported, outputTokens);
                         }
                     } catch (e) {
                         console.error('[Token Usage Tracker] Error counting sendRequest output:', e);
@@ -2973,7 +7444,8 @@ function patchConnectionManager() {
 
                     return result;
                 } finally {
-                    isTrackingBackground = false;
+                    // Blocked or failed requests aren't billed
+                    endRequest(request);
                 }
             };
 
@@ -2989,44 +7461,45 @@ function patchConnectionManager() {
 }
 
 /**
- * Generic handler for background generations with recursion guard
+ * Generic handler for background generations, tracking each call as its own request
  */
 async function handleBackgroundGeneration(originalFn, context, args, inputCounter, outputCounter) {
-    // Avoid double counting if one patched function calls another
-    if (isTrackingBackground) {
-        return await originalFn.apply(context, args);
-    }
-
     let result;
-    let inputTokens = 0;
-    const modelId = getCurrentModelId();
+    const request = startRequest('background', {
+        chatId: null,
+        modelId: getCurrentModelId(),
+        source: resolveRequestSource(new Error().stack),
+    });
 
     try {
-        isTrackingBackground = true;
-
         // Count input tokens
-        try {
-            inputTokens = await inputCounter();
-            console.log(`[Token Usage Tracker] Counting background input. Tokens: ${inputTokens}`);
-        } catch (e) {
+        request.inputTokensPromise = Promise.resolve().then(inputCounter).then(count => {
+            console.log(`[Token Usage Tracker] Counting background input. Tokens: ${count}`);
+            return count;
+        }).catch(e => {
             console.error('[Token Usage Tracker] Error counting background input:', e);
-        }
+            return 0;
+        });
+        await request.inputTokensPromise;
 
         // Execute original
+        request.sentAt = Date.now();
         result = await originalFn.apply(context, args);
 
         // Count output tokens
         try {
-            const outputTokens = await outputCounter(result);
-            if (outputTokens > 0 || inputTokens > 0) {
-                recordUsage(inputTokens, outputTokens, null, modelId);
-                console.log(`[Token Usage Tracker] Background usage recorded: ${inputTokens} in, ${outputTokens} out`);
+            if (endRequest(request)) {
+                const reported = await takeReportedUsage(request);
+                const entry = await recordRequestUsage(request, reported, reported ? 0 : await outputCounter(result));
+                if (entry) {
+                    console.log(`[Token Usage Tracker] Background usage recorded: ${entry.input} in, ${entry.output} out`);
+                }
             }
         } catch (e) {
             console.error('[Token Usage Tracker] Error counting background output:', e);
         }
     } finally {
-        isTrackingBackground = false;
+        endRequest(request);
     }
 
     return result;
@@ -3036,19 +7509,48 @@ jQuery(async () => {
     console.log('[Token Usage Tracker] Initializing...');
 
     loadSettings();
+    await loadUsage();
+    window.addEventListener('pagehide', flushUsage);
     registerSlashCommands();
     createSettingsUI();
 
     // Attempt to patch background generation functions
     patchBackgroundGenerations();
 
+    // Read provider-reported usage from generation responses
+    patchFetchForUsage();
+
     // Subscribe to events
     eventSource.on(event_types.GENERATION_STARTED, handleGenerationStarted);
     eventSource.on(event_types.GENERATE_AFTER_DATA, handleGenerateAfterData);
     eventSource.on(event_types.MESSAGE_RECEIVED, handleMessageReceived);
     eventSource.on(event_types.GENERATION_STOPPED, handleGenerationStopped);
     eventSource.on(event_types.CHAT_CHANGED, handleChatChanged);
+    // Retention of per-chat usage applies to deleted chats
+    eventSource.on(event_types.CHAT_DELETED, markChatDeleted);
+    if (event_types.GROUP_CHAT_DELETED) eventSource.on(event_types.GROUP_CHAT_DELETED, markChatDeleted);
+    eventSource.on(event_types.CHARACTER_DELETED, handleCharacterDeleted);
     eventSource.on(event_types.IMPERSONATE_READY, handleImpersonateReady);
+    eventSource.on(event_types.GENERATE_BEFORE_COMBINE_PROMPTS, handleBeforeCombinePrompts);
+    if (event_types.WORLD_INFO_ACTIVATED) eventSource.on(event_types.WORLD_INFO_ACTIVATED, handleWorldInfoActivated);
+
+    // Per-message badges: re-render when messages are drawn, swiped or the chat is loaded
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, (messageIndex) => renderMessageBadge(Number(messageIndex)));
+    eventSource.on(event_types.MESSAGE_SWIPED, (messageIndex) => renderMessageBadge(Number(messageIndex)));
+    eventSource.on(event_types.MESSAGE_UPDATED, (messageIndex) => renderMessageBadge(Number(messageIndex)));
+    eventSource.on(event_types.CHAT_CHANGED, renderAllMessageBadges);
+    if (event_types.MORE_MESSAGES_LOADED) eventSource.on(event_types.MORE_MESSAGES_LOADED, renderAllMessageBadges);
+
+    // Send button estimate: the last dry run belongs to the previous chat after switching; prices may change any time
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        lastPromptEstimate = null;
+        updateSendEstimate();
+    });
+    eventSource.on('tokenUsageUpdated', updateSendEstimate);
+
+    // Scheduled backups and compaction: once on load, then checked hourly for sessions left open across days
+    runMaintenance(true);
+    setInterval(runMaintenance, 60 * 60 * 1000);
 
     // Log current tokenizer
     try {